@@ -1,11 +1,81 @@
 module.exports = {
     chunkSize: 32,
+    // World generation is random, but the same seed always generates the same world.
+    // Changing it only affects chunks that haven't been generated yet, so expect seams
+    seed: 'voxeling',
+    // How new chunks are generated: terraced, perlin, biomes, regions or pipeline
+    generator: 'terraced',
+    // Used when generator is biomes. Merged over the defaults in src/lib/generators/server-biomes.js,
+    // set a biome to null to remove it. Voxels can be names from the voxels list below, or ids
+    biomes: {
+        // desert: {surface: 'sandstone', subsurface: 'sandstone', depth: 6}
+    },
+    // Used when generator is regions. Merged over the defaults in src/lib/generators/server-regions.js.
+    // Not to be confused with regionSize, which is for the region chunk store
+    regions: {
+        // How often each terrain comes up
+        terrains: {high: 1, rolling: 2, 'sea-level': 1, clouds: 1}
+        // Or place the regions yourself:
+        // layout: [{x: 0, z: 0, terrain: 'rolling'}, {x: 300, z: 0, terrain: 'high'}]
+    },
+    // Used when generator is pipeline: stages run in order over each chunk. The rest of each entry is that
+    // stage's options, see src/lib/generators/server-pipeline.js for the stages. caves and decorations below
+    // are ignored, since the pipeline lists its own
+    pipeline: [
+        {stage: 'heightmap', height: 4, amplitude: 16},
+        {stage: 'caves', lavaLevel: -48},
+        {stage: 'paint'},
+        {stage: 'water', level: 0},
+        {stage: 'decorations', bark: 'tree', leaves: 'leaves'}
+    ],
+    // Carve caves, ore veins and lava pools into whatever the generator makes. Set to {} for the defaults
+    // in src/lib/generators/caves.js, or override some of them. Remove to leave the ground solid
+    caves: {
+        lavaLevel: -48
+    },
+    // Trees, boulders and ruins on the ground, for every generator but pipeline. Set to {} for
+    // the defaults in src/lib/generators/decorations.js. bark and leaves are the voxels trees are made of
+    decorations: {
+        bark: 'tree',
+        leaves: 'leaves'
+    },
     drawDistance: 2,
     removeDistance: 3,
 
     initialPosition: [16.5, 25.5, 16.5],
     worldRadius: 10,
     chunkFolder: 'chunks/test/',
+    // Player accounts are kept here when not using mysql
+    accountsFile: 'chunks/accounts.json',
+    // Used to sign session tokens. Set it to a long random string, like the output of:
+    //   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+    // Left empty, a random one is made at startup, and players have to log in again after a restart
+    sessionSecret: '',
+    // Signs the chunks src/restore.js sends to a running server. Set it to a different long random string
+    // to allow restores while the server is up. Left empty, the server refuses them
+    restoreSecret: '',
+    // Anonymous players can't chat or build when this is true
+    requireLogin: true,
+    // Logging in with an unknown username creates the account
+    allowRegistration: true,
+    // Usernames that can build anywhere and manage every land claim
+    admins: [],
+    maxClaimSize: 128,
+    maxClaimsPerPlayer: 5,
+    // Where to save the world: file (one file per chunk in chunkFolder), region (many chunks per file
+    // in chunkFolder, see scripts/regions.js to convert), sqlite or mysql
+    chunkStore: 'file',
+    // Used when chunkStore is file. Snapshots for src/restore.js go in historyFolder (chunkFolder + 'history/'
+    // if unset). The server takes one every snapshotMinutes, or run src/snapshot.js from cron
+    historyFolder: 'chunks/test-history/',
+    snapshotMinutes: 60,
+    // Used when chunkStore is region. Each region file holds regionSize^3 chunks
+    regionSize: 16,
+    // Used when chunkStore is sqlite. Needs the sqlite3 npm module
+    sqlite: {
+        filename: 'chunks/world.sqlite'
+    },
+    // Used when chunkStore is mysql. Needs the mysql npm module
     mysql: {
         connectionLimit: 10,
         user: 'voxeling',
@@ -18,6 +88,20 @@ module.exports = {
     websocketBindAddress: '127.0.0.1',
     websocketBindPort: 10005,
     maxPlayers: 10,
+    // Players within nearPlayerDistance chunks get position updates every nearPlayerInterval milliseconds,
+    // farther ones every farPlayerInterval
+    nearPlayerDistance: 2,
+    nearPlayerInterval: 100,
+    farPlayerInterval: 1000,
+    // Disconnect clients we haven't heard from in this many milliseconds
+    staleClientMs: 60000,
+    // Send player positions and voxel edits as compact binary messages instead of JSON
+    binaryProtocol: true,
+    // Limits on a single batch of voxel edits from a client
+    maxChunksPerEdit: 64,
+    maxVoxelsPerEdit: 65536,
+    // How many batches of voxel edits each player can undo
+    maxUndoHistory: 20,
 
     voxelRemap: {
         16: 5,
@@ -35,6 +119,8 @@ module.exports = {
         101
 
     ],
+    // Block ids can go up to 4095. Ids of 100 and above are drawn as transparent.
+    // Voxels also carry 4 bits of state alongside the id, see src/lib/voxel-value.js
     voxels: {
         1: {
             name: 'grass+dirt',
@@ -0,0 +1,146 @@
+/*
+Compares chunk-codec.js against gzip, which is what the /chunk/ route and the database stores used before.
+Reports total size and time to encode and decode a set of chunks.
+
+    node scripts/chunk-codec-benchmark.js
+    node scripts/chunk-codec-benchmark.js chunks/world/
+
+With no arguments it generates an 8x8x8 block of chunks around the origin with each server generator. Pass a chunk folder to measure real saved chunks instead (up to 2000 of them).
+*/
+var zlib = require('zlib');
+var config = require('../config');
+var codec = require('../src/lib/chunk-codec');
+var FileChunkStore = require('../src/lib/chunk-stores/file');
+var BaseGenerator = require('../src/lib/generator');
+
+var chunkSize = config.chunkSize;
+// Repeat each measurement so timings aren't dominated by the clock's resolution
+var rounds = 5;
+
+var generated = function(name) {
+    var Generator = require('../src/lib/generators/' + name);
+    var generator = new Generator(chunkSize);
+    var chunks = [];
+    for (var x = -4; x < 4; x++) {
+        for (var y = -4; y < 4; y++) {
+            for (var z = -4; z < 4; z++) {
+                chunks.push(generator.get((x * chunkSize) + '|' + (y * chunkSize) + '|' + (z * chunkSize)).voxels);
+            }
+        }
+    }
+    return chunks;
+};
+
+var saved = function(folder, callback) {
+    var store = new FileChunkStore(new BaseGenerator(chunkSize), folder);
+    store.chunkIDs(function(error, ids) {
+        var chunks = [];
+        var next;
+        if (error) {
+            console.log(error);
+            process.exit(1);
+        }
+        ids = ids.slice(0, 2000);
+        next = function(i) {
+            if (i == ids.length) {
+                callback(chunks);
+                return;
+            }
+            store.get(ids[i], function(error, chunk) {
+                if (error) {
+                    console.log(error);
+                    process.exit(1);
+                }
+                chunks.push(chunk.voxels);
+                next(i + 1);
+            });
+        };
+        next(0);
+    });
+};
+
+// Returns milliseconds per round
+var time = function(fn) {
+    var started = process.hrtime();
+    for (var i = 0; i < rounds; i++) {
+        fn();
+    }
+    var elapsed = process.hrtime(started);
+    return (elapsed[0] * 1000 + elapsed[1] / 1000000) / rounds;
+};
+
+var measure = function(label, chunks) {
+    var raw = chunks.reduce(function(total, voxels) {
+        return total + voxels.byteLength;
+    }, 0);
+    var gzipped = chunks.map(function(voxels) {
+        return zlib.gzipSync(voxels);
+    });
+    var encoded = chunks.map(function(voxels) {
+        return codec.encode(voxels);
+    });
+    var sum = function(list) {
+        return list.reduce(function(total, item) {
+            return total + item.length;
+        }, 0);
+    };
+    var row = function(name, size, encodeMs, decodeMs) {
+        console.log(
+            '  ' + name + ': ' + size + ' bytes (' + (100 * size / raw).toFixed(2) + '% of raw), ' +
+            'encode ' + encodeMs.toFixed(1) + 'ms, decode ' + decodeMs.toFixed(1) + 'ms'
+        );
+    };
+
+    encoded.forEach(function(bytes, i) {
+        var decoded = codec.decode(bytes, chunks[i].length);
+        var same = decoded.every(function(value, j) {
+            return value == chunks[i][j];
+        });
+        if (!same) {
+            console.log('Chunk ' + i + ' did not survive encoding');
+            process.exit(1);
+        }
+    });
+
+    console.log(label + ': ' + chunks.length + ' chunks, ' + raw + ' bytes raw');
+    row(
+        'gzip ',
+        sum(gzipped),
+        time(function() {
+            chunks.forEach(function(voxels) {
+                zlib.gzipSync(voxels);
+            });
+        }),
+        time(function() {
+            gzipped.forEach(function(bytes) {
+                new Uint8Array(zlib.gunzipSync(bytes));
+            });
+        })
+    );
+    row(
+        'codec',
+        sum(encoded),
+        time(function() {
+            chunks.forEach(function(voxels) {
+                codec.encode(voxels);
+            });
+        }),
+        time(function() {
+            encoded.forEach(function(bytes) {
+                codec.decode(bytes, chunkSize * chunkSize * chunkSize);
+            });
+        })
+    );
+};
+
+
+if (process.argv[2]) {
+    saved(process.argv[2], function(chunks) {
+        measure(process.argv[2], chunks);
+        process.exit(0);
+    });
+} else {
+    ['server-terraced', 'server-perlin', 'server-regions'].forEach(function(name) {
+        measure(name, generated(name));
+    });
+}
@@ -0,0 +1,318 @@
+/*
+Copies every chunk from one chunk store to another, then reads them all back from the destination to check
+they came through intact. Stop the server first.
+
+    node scripts/migrate.js file:chunks/world/ sqlite:chunks/world.sqlite
+    node scripts/migrate.js region:chunks/world-regions/ mysql --concurrency 10
+
+Stores are type:location, where location defaults to the matching setting in config:
+
+    file:folder       chunkFolder
+    region:folder     chunkFolder, with regionSize from config
+    sqlite:filename   sqlite.filename
+    mysql:database    mysql.database, with the rest of the connection settings from config.mysql
+    memory            nothing is saved, handy for checking a store reads back cleanly
+
+Chunks already copied are listed in a progress file (--progress, default migrate.progress), so an interrupted
+migration picks up where it left off. Pass --restart to start over. Chunks that fail verification are taken
+out of the progress file, so running again copies them again. The file is deleted once everything verifies.
+*/
+var fs = require('fs');
+var config = require('../config');
+var Generator = require('../src/lib/generator');
+var maxConcurrent = require('../src/lib/max-concurrent');
+
+// Chunks to copy before flushing and recording progress, so we don't hold the whole world in memory
+var batchSize = 200;
+
+var usage = function() {
+    console.log('Usage: node scripts/migrate.js from to [--concurrency 20] [--progress migrate.progress] [--restart]');
+    console.log('Stores: file[:folder] region[:folder] sqlite[:filename] mysql[:database] memory');
+    process.exit(1);
+};
+
+var fail = function(error) {
+    console.log(error);
+    process.exit(1);
+};
+
+var folder = function(value) {
+    return value.charAt(value.length - 1) == '/' ? value : value + '/';
+};
+
+// Stores get a generator that never generates, so a missing or unreadable chunk is an error
+// instead of being quietly replaced by fresh terrain
+var generator = new Generator(config.chunkSize);
+generator.get = function() {
+    return null;
+};
+
+// Creates the destination's folder if need be, otherwise saving would fail and keep retrying
+var openStore = function(spec, destination) {
+    var colon = spec.indexOf(':');
+    var type = colon == -1 ? spec : spec.substr(0, colon);
+    var location = colon == -1 ? null : spec.substr(colon + 1);
+    var chunkFolder = folder(location || config.chunkFolder);
+    if (destination && (type == 'file' || type == 'region')) {
+        fs.mkdirSync(chunkFolder, {recursive: true});
+    }
+    switch (type) {
+        case 'file':
+            var FileChunkStore = require('../src/lib/chunk-stores/file');
+            var store = new FileChunkStore(generator, chunkFolder);
+            // Leave corrupt chunk files where they are, we only fail on them
+            store.quarantine = false;
+            return store;
+        case 'region':
+            var RegionChunkStore = require('../src/lib/chunk-stores/region');
+            return new RegionChunkStore(generator, chunkFolder, config.regionSize);
+        case 'sqlite':
+            var SqliteChunkStore = require('../src/lib/chunk-stores/sqlite');
+            return new SqliteChunkStore(generator, {filename: location || config.sqlite.filename});
+        case 'mysql':
+            var MysqlChunkStore = require('../src/lib/chunk-stores/mysql');
+            var settings = Object.assign({}, config.mysql);
+            if (location) {
+                settings.database = location;
+            }
+            return new MysqlChunkStore(generator, settings);
+        case 'memory':
+            var MemoryChunkStore = require('../src/lib/chunk-stores/memory');
+            return new MemoryChunkStore(generator);
+    }
+    console.log('Unknown chunk store: ' + spec);
+    usage();
+};
+
+
+var args = process.argv.slice(2);
+var options = {
+    concurrency: 20,
+    progress: 'migrate.progress',
+    restart: false
+};
+var stores = [];
+for (var i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--concurrency':
+            options.concurrency = Number(args[++i]);
+            if (!(options.concurrency > 0)) {
+                usage();
+            }
+            break;
+        case '--progress':
+            options.progress = args[++i];
+            if (!options.progress) {
+                usage();
+            }
+            break;
+        case '--restart':
+            options.restart = true;
+            break;
+        default:
+            stores.push(args[i]);
+    }
+}
+if (stores.length != 2) {
+    usage();
+}
+
+var source = openStore(stores[0]);
+var destination = openStore(stores[1], true);
+var concur = maxConcurrent(options.concurrency);
+
+
+// Chunk IDs copied by earlier runs
+var readProgress = function() {
+    var copied = {};
+    if (options.restart) {
+        return copied;
+    }
+    try {
+        fs.readFileSync(options.progress, 'utf8').split('\n').forEach(function(chunkID) {
+            if (chunkID) {
+                copied[chunkID] = true;
+            }
+        });
+    } catch (e) {
+        if (e.code != 'ENOENT') {
+            fail('Failed to read ' + options.progress + ': ' + e.message);
+        }
+    }
+    return copied;
+};
+
+
+// Runs fn(chunkID, done) for each chunk, at most options.concurrency at a time, then calls back.
+// done takes an optional error, and we stop at the first one
+var eachChunk = function(chunkIDs, fn, callback) {
+    var pending = chunkIDs.length;
+    var failed = false;
+    if (pending == 0) {
+        callback();
+        return;
+    }
+    chunkIDs.forEach(function(chunkID) {
+        concur(function(done) {
+            if (failed) {
+                done();
+                return;
+            }
+            fn(chunkID, function(error) {
+                done();
+                if (failed) {
+                    return;
+                }
+                if (error) {
+                    failed = true;
+                    callback(error);
+                    return;
+                }
+                pending--;
+                if (pending == 0) {
+                    callback();
+                }
+            });
+        });
+    });
+};
+
+
+var rate = function(count, started) {
+    return Math.round(count / Math.max(1, (Date.now() - started) / 1000)) + ' chunks/s';
+};
+
+
+var copy = function(chunkIDs, callback) {
+    var copied = readProgress();
+    var remaining = chunkIDs.filter(function(chunkID) {
+        return !(chunkID in copied);
+    });
+    var started = Date.now();
+    var offset = 0;
+    var next;
+    if (remaining.length < chunkIDs.length) {
+        console.log((chunkIDs.length - remaining.length) + ' chunks were copied by an earlier run');
+    }
+    if (options.restart) {
+        fs.writeFileSync(options.progress, '');
+    }
+    console.log('Copying ' + remaining.length + ' chunks');
+    next = function() {
+        var batch = remaining.slice(offset, offset + batchSize);
+        if (batch.length == 0) {
+            callback();
+            return;
+        }
+        eachChunk(
+            batch,
+            function(chunkID, done) {
+                source.get(chunkID, function(error, chunk) {
+                    if (error) {
+                        done('Failed to read ' + chunkID + ': ' + error);
+                        return;
+                    }
+                    destination.put(chunk);
+                    done();
+                });
+            },
+            function(error) {
+                if (error) {
+                    fail(error);
+                }
+                destination.flush(function(error) {
+                    // Don't mark the batch copied if some of it wasn't written
+                    if (error) {
+                        fail(error);
+                    }
+                    fs.appendFileSync(options.progress, batch.join('\n') + '\n');
+                    offset += batch.length;
+                    console.log(
+                        'Copied ' + offset + ' of ' + remaining.length +
+                        ' (' + Math.floor(offset * 100 / remaining.length) + '%), ' + rate(offset, started)
+                    );
+                    next();
+                });
+            }
+        );
+    };
+    next();
+};
+
+
+// Reads every chunk back through a fresh copy of the destination store, so nothing comes from its cache
+var verify = function(chunkIDs, callback) {
+    var checker = (stores[1] == 'memory' ? destination : openStore(stores[1]));
+    var mismatched = [];
+    var verified = 0;
+    var started = Date.now();
+    console.log('Verifying ' + chunkIDs.length + ' chunks');
+    eachChunk(
+        chunkIDs,
+        function(chunkID, done) {
+            source.get(chunkID, function(error, expected) {
+                if (error) {
+                    done('Failed to read ' + chunkID + ': ' + error);
+                    return;
+                }
+                checker.get(chunkID, function(error, chunk) {
+                    if (error || !sameVoxels(expected.voxels, chunk.voxels)) {
+                        console.log('  ' + chunkID + ' did not copy correctly' + (error ? ': ' + error : ''));
+                        mismatched.push(chunkID);
+                    }
+                    verified++;
+                    if (verified % 1000 == 0) {
+                        console.log('Verified ' + verified + ' of ' + chunkIDs.length + ', ' + rate(verified, started));
+                    }
+                    done();
+                });
+            });
+        },
+        function(error) {
+            if (error) {
+                fail(error);
+            }
+            callback(mismatched);
+        }
+    );
+};
+
+
+var sameVoxels = function(a, b) {
+    if (a.length != b.length) {
+        return false;
+    }
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] != b[i]) {
+            return false;
+        }
+    }
+    return true;
+};
+
+
+source.chunkIDs(function(error, chunkIDs) {
+    if (error) {
+        fail('Failed to list chunks in ' + stores[0] + ': ' + error);
+    }
+    copy(chunkIDs, function() {
+        verify(chunkIDs, function(mismatched) {
+            var failed = {};
+            if (mismatched.length > 0) {
+                mismatched.forEach(function(chunkID) {
+                    failed[chunkID] = true;
+                });
+                // So the next run copies them again
+                fs.writeFileSync(options.progress, chunkIDs.filter(function(chunkID) {
+                    return !(chunkID in failed);
+                }).join('\n') + '\n');
+                fail(mismatched.length + ' chunks did not copy correctly. Run again to retry them');
+            }
+            if (fs.existsSync(options.progress)) {
+                fs.unlinkSync(options.progress);
+            }
+            console.log('Done, ' + chunkIDs.length + ' chunks copied and verified');
+            process.exit(0);
+        });
+    });
+});
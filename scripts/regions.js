@@ -0,0 +1,113 @@
+/*
+Converts a chunk folder between one file per chunk (chunkStore: 'file') and region files
+(chunkStore: 'region'), or compacts region files. Stop the server first.
+
+    node scripts/regions.js pack chunks/world/ [chunks/world-regions/]
+    node scripts/regions.js unpack chunks/world-regions/ [chunks/world/]
+    node scripts/regions.js compact chunks/world-regions/
+
+The destination folder defaults to the source folder, since region files and chunk files
+have different names. The source files are left alone, delete them once you're happy.
+A chunk that can't be read stops the copy, rather than being generated afresh.
+*/
+var config = require('../config');
+var Generator = require('../src/lib/generator');
+var FileChunkStore = require('../src/lib/chunk-stores/file');
+var RegionChunkStore = require('../src/lib/chunk-stores/region');
+
+// Chunks to copy at a time, so we don't hold the whole world in memory
+var batchSize = 200;
+
+var usage = function() {
+    console.log('Usage:');
+    console.log('  node scripts/regions.js pack chunkFolder [regionFolder]');
+    console.log('  node scripts/regions.js unpack regionFolder [chunkFolder]');
+    console.log('  node scripts/regions.js compact regionFolder');
+    process.exit(1);
+};
+
+var fail = function(error) {
+    console.log(error);
+    process.exit(1);
+};
+
+var folder = function(value) {
+    return value.charAt(value.length - 1) == '/' ? value : value + '/';
+};
+
+var copy = function(source, destination) {
+    // Leave corrupt chunk files where they are, we only fail on them
+    source.quarantine = false;
+    source.chunkIDs(function(error, ids) {
+        var copied = 0;
+        var next;
+        if (error) {
+            fail(error);
+        }
+        console.log('Copying ' + ids.length + ' chunks');
+        next = function() {
+            var batch = ids.slice(copied, copied + batchSize);
+            var pending = batch.length;
+            if (batch.length == 0) {
+                console.log('Done');
+                process.exit(0);
+            }
+            batch.forEach(function(chunkID) {
+                source.get(chunkID, function(error, chunk) {
+                    if (error) {
+                        fail(error);
+                    }
+                    destination.put(chunk);
+                    pending--;
+                    if (pending > 0) {
+                        return;
+                    }
+                    destination.flush(function(error) {
+                        if (error) {
+                            fail(error);
+                        }
+                        copied += batch.length;
+                        console.log(copied + ' of ' + ids.length);
+                        next();
+                    });
+                });
+            });
+        };
+        next();
+    });
+};
+
+
+var args = process.argv.slice(2);
+// A generator that never generates, as in migrate.js. Otherwise a missing or unreadable chunk would be
+// replaced by fresh terrain, in the destination and in the source when its store saves
+var generator = new Generator(config.chunkSize);
+generator.get = function() {
+    return null;
+};
+var from;
+var to;
+if (args.length < 2) {
+    usage();
+}
+from = folder(args[1]);
+to = folder(args[2] || args[1]);
+switch (args[0]) {
+    case 'pack':
+        copy(new FileChunkStore(generator, from), new RegionChunkStore(generator, to, config.regionSize));
+        break;
+    case 'unpack':
+        copy(new RegionChunkStore(generator, from, config.regionSize), new FileChunkStore(generator, to));
+        break;
+    case 'compact':
+        new RegionChunkStore(generator, from, config.regionSize).compact(function(error, compacted) {
+            if (error) {
+                fail(error);
+            }
+            console.log('Compacted ' + compacted + ' region files');
+            process.exit(0);
+        });
+        break;
+    default:
+        usage();
+}
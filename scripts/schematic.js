@@ -0,0 +1,180 @@
+/*
+Export a region of the world to a schematic file, or import one into the world.
+Reads and writes chunks through the file chunk store, so stop the server first or
+it will overwrite imported chunks with what it has cached.
+
+    node scripts/schematic.js export x,y,z x,y,z build.schem
+    node scripts/schematic.js export x,y,z x,y,z build.vox
+    node scripts/schematic.js import build.schem x,y,z
+
+Run it from the same folder you run the server from, since config.chunkFolder is relative to that.
+Corners are inclusive voxel coordinates. Imports place the lowest corner of the structure at x,y,z.
+*/
+var fs = require('fs');
+var path = require('path');
+var config = require('../config');
+var Coordinates = require('../src/lib/coordinates');
+var FileChunkStore = require('../src/lib/chunk-stores/file');
+var Generator = require('../src/lib/generators/server-terraced');
+var Schematic = require('../src/lib/schematic');
+
+var coordinates = new Coordinates(config.chunkSize);
+var schematic = new Schematic(config.voxels);
+var chunkStore = new FileChunkStore(new Generator(config.chunkSize), config.chunkFolder);
+
+var usage = function() {
+    console.log('Usage:');
+    console.log('  node scripts/schematic.js export x,y,z x,y,z out.schem|out.vox');
+    console.log('  node scripts/schematic.js import in.schem|in.vox x,y,z');
+    process.exit(1);
+};
+
+var parsePoint = function(value) {
+    var point = String(value).split(',').map(Number);
+    if (point.length != 3 || !point.every(Number.isInteger)) {
+        console.log('Expected coordinates like 10,-5,32 but got ' + value);
+        process.exit(1);
+    }
+    return point;
+};
+
+var fail = function(error) {
+    console.log(error);
+    process.exit(1);
+};
+
+// Calls onChunk(chunk) for every chunk overlapping low to high, then done(error).
+// The store's cache is small, so deal with each chunk as it arrives rather than collecting them
+var eachChunk = function(low, high, onChunk, done) {
+    var pending = 1;
+    var failed = false;
+    var finished = function() {
+        pending--;
+        if (pending == 0 && !failed) {
+            done(null);
+        }
+    };
+    var lowChunk = coordinates.coordinatesToChunk(low[0], low[1], low[2]);
+    var highChunk = coordinates.coordinatesToChunk(high[0], high[1], high[2]);
+    for (var x = lowChunk[0]; x <= highChunk[0]; x += config.chunkSize) {
+        for (var y = lowChunk[1]; y <= highChunk[1]; y += config.chunkSize) {
+            for (var z = lowChunk[2]; z <= highChunk[2]; z += config.chunkSize) {
+                pending++;
+                chunkStore.get(x + '|' + y + '|' + z, function(error, chunk) {
+                    if (failed) {
+                        return;
+                    }
+                    if (error) {
+                        failed = true;
+                        done(error);
+                        return;
+                    }
+                    onChunk(chunk);
+                    finished();
+                });
+            }
+        }
+    }
+    finished();
+};
+
+// Calls callback(x, y, z) for each voxel of chunk that falls between low and high
+var eachVoxelInChunk = function(chunk, low, high, callback) {
+    var position = chunk.position;
+    var chunkLow = [
+        Math.max(low[0], position[0]),
+        Math.max(low[1], position[1]),
+        Math.max(low[2], position[2])
+    ];
+    var chunkHigh = [
+        Math.min(high[0], position[0] + config.chunkSize - 1),
+        Math.min(high[1], position[1] + config.chunkSize - 1),
+        Math.min(high[2], position[2] + config.chunkSize - 1)
+    ];
+    coordinates.lowToHighEach(chunkLow, chunkHigh, callback);
+};
+
+var exportRegion = function(a, b, filename) {
+    var low = [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.min(a[2], b[2])];
+    var high = [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.max(a[2], b[2])];
+    var format = path.extname(filename).substring(1);
+    var size = [high[0] - low[0] + 1, high[1] - low[1] + 1, high[2] - low[2] + 1];
+    var structure = {
+        size: size,
+        voxels: new Array(size[0] * size[1] * size[2])
+    };
+    eachChunk(
+        low,
+        high,
+        function(chunk) {
+            eachVoxelInChunk(chunk, low, high, function(x, y, z) {
+                var index = (x - low[0]) + ((y - low[1]) * size[0]) + ((z - low[2]) * size[0] * size[1]);
+                structure.voxels[index] = chunk.voxels[ coordinates.coordinatesToVoxelIndex(x, y, z) ];
+            });
+        },
+        function(error) {
+            if (error) {
+                fail(error);
+            }
+            try {
+                fs.writeFileSync(filename, schematic.export(structure, format));
+            } catch (e) {
+                fail(e.message);
+            }
+            console.log('Exported ' + size.join('x') + ' to ' + filename);
+            process.exit(0);
+        }
+    );
+};
+
+var importFile = function(filename, low) {
+    var structure;
+    var size;
+    var high;
+    try {
+        structure = schematic.import(fs.readFileSync(filename));
+    } catch (e) {
+        fail(e.message);
+    }
+    if (structure.unknown.length > 0) {
+        console.log('These voxel types are unknown and were left empty: ' + structure.unknown.join(', '));
+    }
+    size = structure.size;
+    high = [low[0] + size[0] - 1, low[1] + size[1] - 1, low[2] + size[2] - 1];
+    eachChunk(
+        low,
+        high,
+        function(chunk) {
+            var changes = {};
+            var details = changes[chunk.chunkID] = [];
+            eachVoxelInChunk(chunk, low, high, function(x, y, z) {
+                var index = (x - low[0]) + ((y - low[1]) * size[0]) + ((z - low[2]) * size[0] * size[1]);
+                details.push(coordinates.coordinatesToVoxelIndex(x, y, z), structure.voxels[index]);
+            });
+            // The chunk was just fetched, so it's still in the store's cache
+            chunkStore.gotChunkChanges(changes);
+        },
+        function(error) {
+            if (error) {
+                fail(error);
+            }
+            chunkStore.flush(function(error) {
+                if (error) {
+                    fail(error);
+                }
+                console.log('Imported ' + size.join('x') + ' at ' + low.join(','));
+                process.exit(0);
+            });
+        }
+    );
+};
+
+
+var args = process.argv.slice(2);
+if (args[0] == 'export' && args.length == 4) {
+    exportRegion(parsePoint(args[1]), parsePoint(args[2]), args[3]);
+} else if (args[0] == 'import' && args.length == 3) {
+    importFile(args[1], parsePoint(args[2]));
+} else {
+    usage();
+}
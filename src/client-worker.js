@@ -5,6 +5,8 @@ var pool = require('./lib/object-pool');
 var Coordinates = require('./lib/coordinates');
 var mesher = require('./lib/meshers/horizontal-merge2');
 var ClientGenerator = require('./lib/generators/client.js');
+var BinaryProtocol = require('./lib/binary-protocol');
+var ChunkCodec = require('./lib/chunk-codec');
 var MaxConcurrent = require('./lib/max-concurrent')(10);
 var timer = require('./lib/timer');
 var chunkArrayLength = config.chunkSize * config.chunkSize * config.chunkSize;
@@ -16,7 +18,11 @@ var debug = false;
 /*
 INCOMING WEBWORKER MESSAGES
 
-connect - client wants us to connect to the websocket server
+connect - client wants us to connect to the websocket server, optionally with a session token
+
+login - log in with a username and password
+
+history - undo or redo our last batch of voxel changes
 
 regionChange
 
@@ -28,12 +34,21 @@ open - websocket connection opened
 
 close - websocket connection closed
 
+login - server accepted our login, includes username and session token
+
+claims - list of land claims
+
 chunk - sending a decoded, meshed chunk to the client
 
 */
 
 
+// Once we've agreed on the binary protocol with the server, use it for the messages it supports
 var sendMessage = function(websocket, name, payload) {
+    if (websocket.binaryProtocol && BinaryProtocol.supports(name)) {
+        websocket.send( BinaryProtocol.encode(name, payload) );
+        return;
+    }
     websocket.send( JSON.stringify([name, payload]) );
 };
 
@@ -42,6 +57,14 @@ var worker = {
     coordinates: null,
     connected: false,
     connection: null,
+    // Session token from the server, so we can log in again after reconnecting
+    token: null,
+
+    // Voxel edits the server hasn't acknowledged yet, keyed by sequence number.
+    // Each holds the previous voxel values so we can roll back if the server rejects them:
+    // {chunkID: {index: previousValue, ...}, ...}
+    editSequence: 0,
+    pendingEdits: {},
 
     /*
     When we change regions:
@@ -55,6 +78,7 @@ var worker = {
     */
     nearbyChunks: {},
     chunkDistances: {},
+    drawDistance: 0,
     sentClientChunks: {},
     sentClientMeshes: {},
 
@@ -78,10 +102,14 @@ var worker = {
     ],
 
 
-    connect: function() {
+    connect: function(token) {
         var self = this;
+        if (token) {
+            self.token = token;
+        }
         var coordinates = this.coordinates = new Coordinates(config.chunkSize);
         var websocket = this.connection = new WebSocket(config.server);
+        websocket.binaryType = 'arraybuffer';
         var generator = new ClientGenerator(chunkCache, config.chunkSize);
 
         mesher.config(config.chunkSize, config.voxels, textureOffsets, coordinates, chunkCache);
@@ -92,10 +120,17 @@ var worker = {
                 log('websocket connection opened');
             }
             postMessage(['open']);
+            if (self.token) {
+                sendMessage(websocket, 'login', {token: self.token});
+            }
+            // Re-send our chunk subscription in case we're reconnecting
+            self.sendOnlyTheseChunks();
         };
 
         websocket.onclose = function() {
             self.connected = false;
+            // We'll never hear back about these
+            self.pendingEdits = {};
             if (debug) {
                 log('websocket connection closed');
             }
@@ -109,8 +144,20 @@ var worker = {
         websocket.onmessage = function(event) {
             // Decode message
             // Handle errors and exceptions
-            console.log('' + event.data);
-            var decoded = JSON.parse(event.data);
+            var decoded;
+            if (debug) {
+                log('' + event.data);
+            }
+            try {
+                if (typeof event.data === 'string') {
+                    decoded = JSON.parse(event.data);
+                } else {
+                    decoded = BinaryProtocol.decode(event.data);
+                }
+            } catch (e) {
+                log('failed to decode message from server', e);
+                return;
+            }
             var type = decoded[0];
             var payload = decoded[1];
             switch (type) {
@@ -118,6 +165,11 @@ var worker = {
                     if (debug) {
                         log('got settings', payload);
                     }
+                    // Server speaks the same binary protocol, tell it we do too. Set config.binaryProtocol to false to stick with JSON
+                    if (payload.binaryProtocol === BinaryProtocol.version && config.binaryProtocol !== false) {
+                        sendMessage(websocket, 'protocol', {binary: BinaryProtocol.version});
+                        websocket.binaryProtocol = BinaryProtocol.version;
+                    }
                     postMessage(['settings', payload['settings'], payload['id']]);
                     break;
                 // fires when server sends us voxel edits [chunkID, voxelIndex, value, voxelIndex, value...]
@@ -140,6 +192,7 @@ var worker = {
 
                                 // TODO: If changes are along a chunk boundary, re-mesh adjacent chunk
                             }
+                            self.updatePendingEdits(chunkID, details);
                             // Re-mesh this chunk
                             self.clientMissingMeshes[ chunkID ] = true;
                             if (chunkID in self.nearbyChunks) {
@@ -149,6 +202,25 @@ var worker = {
                     }
                     break;
 
+                // Server accepted or rejected voxel changes we sent
+                case 'ack':
+                    self.ack(payload.sequence, payload.rejected);
+                    break;
+
+                case 'login':
+                    self.token = payload.token;
+                    postMessage(['login', payload.username, payload.token]);
+                    break;
+
+                // Server rejected something we sent
+                case 'error':
+                    log('server error: ' + payload.message);
+                    if (payload.type == 'login') {
+                        self.token = null;
+                    }
+                    postMessage(['error', payload.message, payload.type]);
+                    break;
+
                 case 'chat':
                     postMessage(['chat', payload]);
                     break;
@@ -156,6 +228,14 @@ var worker = {
                 case 'players':
                     postMessage(['players', payload]);
                     break;
+
+                case 'playersRemoved':
+                    postMessage(['playersRemoved', payload]);
+                    break;
+
+                case 'claims':
+                    postMessage(['claims', payload]);
+                    break;
                 default:
                     console.log('WebWorker received unexpected message type from server: ' + type);
                     break;
@@ -201,11 +281,15 @@ var worker = {
                         return;
                     }
 
-                    chunkCache[chunkId] = {
-                        chunkID: chunkId,
-                        position: position,
-                        voxels: new Uint8Array(req.response)
-                    };
+                    try {
+                        chunkCache[chunkId] = {
+                            chunkID: chunkId,
+                            position: position,
+                            voxels: ChunkCodec.decode(req.response, chunkArrayLength)
+                        };
+                    } catch (e) {
+                        console.log('Failed to decode chunk ' + chunkId, e.message);
+                    }
                     done();
                 };
                 // Handle error
@@ -269,6 +353,11 @@ var worker = {
             }
         }
 
+        // Only hear about voxel edits for chunks we're displaying,
+        // and players we can see
+        self.drawDistance = drawDistance;
+        self.sendOnlyTheseChunks();
+
         postMessage(
             ['meshesToShow', chunkDistances]
         );
@@ -357,21 +446,28 @@ var worker = {
     // Update our local cache and tell the server
     chunkVoxelIndexValue: function(changes, touching) {
         var self = this;
-        console.log(changes);
-        sendMessage(self.connection, 'chunkVoxelIndexValue', changes);
+        var sequence = ++self.editSequence;
+        var previous = {};
+        sendMessage(self.connection, 'chunkVoxelIndexValue', {sequence: sequence, changes: changes});
         for (var chunkID in changes) {
             if (chunkID in chunkCache) {
                 var chunk = chunkCache[chunkID];
                 var details = changes[chunkID];
+                var previousValues = previous[chunkID] = {};
                 for (var i = 0; i < details.length; i += 2) {
                     var index = details[i];
                     var val = details[i + 1];
+                    // Only the first change to a voxel knows what was there before
+                    if (!(index in previousValues)) {
+                        previousValues[index] = chunk.voxels[index];
+                    }
                     chunk.voxels[index] = val;
                 }
                 // Re-mesh this chunk
                 self.clientMissingMeshes[ chunkID ] = true;
             }
         }
+        self.pendingEdits[sequence] = previous;
 
         // Along with these voxel changes, there may be nearby chunks that we need to re-mesh
         // so we don't "see through the world"
@@ -382,11 +478,144 @@ var worker = {
         }
     },
 
+    /*
+    Server responded to voxel changes we sent. rejected is false if all were applied,
+    true if none were, or {chunkID: [index, ...]} for those that weren't
+    */
+    ack: function(sequence, rejected) {
+        var self = this;
+        var previous = self.pendingEdits[sequence];
+        var restored = {};
+        var touching = {};
+        delete self.pendingEdits[sequence];
+        if (!previous || !rejected) {
+            return;
+        }
+
+        for (var chunkID in previous) {
+            var previousValues = previous[chunkID];
+            var indexes;
+            if (rejected === true) {
+                indexes = Object.keys(previousValues);
+            } else if (chunkID in rejected) {
+                indexes = rejected[chunkID];
+            } else {
+                continue;
+            }
+            if (!(chunkID in chunkCache)) {
+                continue;
+            }
+            var chunk = chunkCache[chunkID];
+            var details = [];
+            for (var i = 0; i < indexes.length; i++) {
+                var index = Number(indexes[i]);
+                var later;
+                if (!(index in previousValues)) {
+                    continue;
+                }
+                // A later edit we haven't heard back about changed this voxel again, so leave it showing
+                // that edit, but make sure it rolls back to the right value if it's rejected too
+                later = self.laterPendingEdit(sequence, chunkID, index);
+                if (later) {
+                    later[index] = previousValues[index];
+                    continue;
+                }
+                chunk.voxels[index] = previousValues[index];
+                details.push(index, previousValues[index]);
+                self.coordinates.voxelIndexTouching(chunk.position, index, touching);
+            }
+            if (details.length == 0) {
+                continue;
+            }
+            restored[chunkID] = details;
+            self.clientMissingMeshes[ chunkID ] = true;
+        }
+        for (var chunkID in touching) {
+            if (chunkID in chunkCache) {
+                self.clientMissingMeshes[ chunkID ] = true;
+            }
+        }
+
+        // Keep the main thread's copy of the voxels in sync, it uses them for collision detection
+        if (Object.keys(restored).length > 0) {
+            postMessage(['chunkVoxelIndexValue', restored]);
+        }
+    },
+
+    // Returns the previous values of the earliest pending edit after sequence that changed this voxel
+    laterPendingEdit: function(sequence, chunkID, index) {
+        var self = this;
+        var sequences = Object.keys(self.pendingEdits).map(Number).sort(function(a, b) {
+            return a - b;
+        });
+        for (var i = 0; i < sequences.length; i++) {
+            if (sequences[i] <= sequence) {
+                continue;
+            }
+            var previousValues = self.pendingEdits[ sequences[i] ][chunkID];
+            if (previousValues && (index in previousValues)) {
+                return previousValues;
+            }
+        }
+        return null;
+    },
+
+    // Changes from the server are authoritative, so they become the values to roll back to
+    updatePendingEdits: function(chunkID, details) {
+        var self = this;
+        for (var sequence in self.pendingEdits) {
+            var previousValues = self.pendingEdits[sequence][chunkID];
+            if (!previousValues) {
+                continue;
+            }
+            for (var i = 0; i < details.length; i += 2) {
+                if (details[i] in previousValues) {
+                    previousValues[ details[i] ] = details[i + 1];
+                }
+            }
+        }
+    },
+
+    // Tell the server which chunks we want to hear voxel changes for
+    sendOnlyTheseChunks: function() {
+        var self = this;
+        if (!self.connected) {
+            return;
+        }
+        sendMessage(self.connection, 'onlyTheseChunks', Object.keys(self.chunkDistances));
+        if (self.drawDistance) {
+            sendMessage(self.connection, 'drawDistance', self.drawDistance);
+        }
+    },
+
+    login: function(username, password) {
+        var self = this;
+        if (!self.connected) {
+            return;
+        }
+        sendMessage(self.connection, 'login', {username: username, password: password});
+    },
+
     chat: function(message) {
         var self = this;
         sendMessage(self.connection, 'chat', message);
     },
 
+    // action is undo or redo. Server sends the resulting voxel changes back to us like any other
+    history: function(action) {
+        var self = this;
+        if (!self.connected) {
+            return;
+        }
+        sendMessage(self.connection, action, null);
+    },
+
+    // Create, remove or change builders for a land claim
+    claim: function(request) {
+        var self = this;
+        sendMessage(self.connection, 'claim', request);
+    },
+
     /*
     Client no longer needs this mesh
     */
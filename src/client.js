@@ -19,6 +19,8 @@ var Physics = require('./lib/physics');
 var Stats = require('./lib/stats');
 var VoxelingClient = require('./lib/client');
 var Coordinates = require('./lib/coordinates');
+var Clipboard = require('./lib/clipboard');
+var Schematic = require('./lib/schematic');
 var Voxels = require('./lib/voxels');
 var Game = require('./lib/game');
 var timer = require('./lib/timer');
@@ -112,6 +114,19 @@ client.on('ready', function() {
 
         // Voxel modification stuff
         var lines = new Lines(webgl.gl);
+        // Outlines of land claims
+        var claimLines = new Lines(webgl.gl, [0, 1, 0, 1]);
+        var claims = [];
+        // Corners for the next land claim, set with /pos1 and /pos2
+        var claimCorners = [null, null];
+        claimLines.skip(true);
+        // Outline of where the clipboard will be pasted
+        var clipboardLines = new Lines(webgl.gl, [0, 0.5, 1, 1]);
+        var clipboard = new Clipboard(config);
+        // When on, left click and drag copies instead of destroying
+        var clipboardMode = false;
+        clipboardLines.skip(true);
+        clipboard.load(localStorage);
         var highlightOn = true;
         // Holds coordinates of the voxel being looked at
         var currentVoxel = [null, null, null];
@@ -161,9 +176,13 @@ client.on('ready', function() {
             for (var id in players) {
                 var otherPlayer = players[id];
                 var summed = 0;
-                for (var i = 0; i < otherPlayer.adjustments.length; i++) {
-                    otherPlayer.current[i] += otherPlayer.adjustments[i];
-                    summed += Math.abs(otherPlayer.adjustments[i]);
+                // Only move until we reach the latest position from the server
+                if (otherPlayer.remaining > 0) {
+                    for (var i = 0; i < otherPlayer.adjustments.length; i++) {
+                        otherPlayer.current[i] += otherPlayer.adjustments[i];
+                        summed += Math.abs(otherPlayer.adjustments[i]);
+                    }
+                    otherPlayer.remaining--;
                 }
                 otherPlayer.model.setTranslation(
                     otherPlayer.current[0],
@@ -190,6 +209,8 @@ client.on('ready', function() {
                 // Highlight of targeted bock can be turned off with Shift
                 lines.render(camera.inverse);
             }
+            claimLines.render(camera.inverse);
+            clipboardLines.render(camera.inverse);
 
             player.render(camera.inverse, ts);
             st.update();
@@ -207,6 +228,7 @@ client.on('ready', function() {
         client.regionChange();
         webgl.start();
 
+        // Server only sends players that moved, so others keep their last position
         client.on('players', function(others) {
             var ticksPerHalfSecond = 30;
             var calculateAdjustments = function(output, current, wanted) {
@@ -225,11 +247,13 @@ client.on('ready', function() {
                     calculateAdjustments(player.adjustments, player.latest, updatedPlayerInfo.positions);
                     player.current = player.latest;
                     player.latest = updatedPlayerInfo.positions;
+                    player.remaining = ticksPerHalfSecond;
                 } else {
                     player = players[id] = {
                         latest: updatedPlayerInfo.positions,
                         current: updatedPlayerInfo.positions,
                         adjustments: [0, 0, 0, 0, 0, 0],
+                        remaining: 0,
 
                         model: new Player(webgl.gl, webgl.shaders.projectionViewPosition2, textures.byName['player'])
                     };
@@ -248,13 +272,11 @@ client.on('ready', function() {
 
                 player.model.setTexture( textures.byName[updatedPlayerInfo.avatar] );
             }
-            // Compare players to others, remove old players
-            var playerIds = Object.keys(players);
-            for (var i = 0; i < playerIds.length; i++) {
-                var id = playerIds[i];
-                if (!(id in others)) {
-                    delete players[id];
-                }
+        });
+
+        client.on('playersRemoved', function(ids) {
+            for (var i = 0; i < ids.length; i++) {
+                delete players[ ids[i] ];
             }
         });
 
@@ -331,10 +353,27 @@ client.on('ready', function() {
             // Get name from input and store in localStorage
             var element = document.getElementById('username');
             var value = element.value.trim();
+            var password = document.getElementById('password');
             if (value.length == 0) {
                 value = randomName();
             }
             localStorage.setItem('name', value);
+
+            // Log in if we haven't already, or if the user wants to switch accounts
+            if (password.value.length > 0 && value != client.username) {
+                client.login(value, password.value);
+            }
+            password.value = '';
+        });
+
+        client.on('login', function(username) {
+            document.getElementById('username').value = username;
+            document.getElementById('loginStatus').innerText = 'Logged in as ' + username;
+        });
+        client.on('error', function(message, type) {
+            if (type == 'login') {
+                document.getElementById('loginStatus').innerText = message;
+            }
         });
 
         inputHandler.on('to.playing', function() {
@@ -386,6 +425,11 @@ client.on('ready', function() {
                 high[0] = Math.max(selectStart[0], currentVoxel[0]);
                 high[1] = Math.max(selectStart[1], currentVoxel[1]);
                 high[2] = Math.max(selectStart[2], currentVoxel[2]);
+                if (clipboardMode) {
+                    copy(low, high);
+                    selecting = false;
+                    return;
+                }
                 if (inputHandler.state.alt) {
                     console.log('Does this get called anymore?');
                     coordinates.lowToHighEach(
@@ -470,13 +514,286 @@ client.on('ready', function() {
             selecting = false;
         });
 
+        // Clipboard
+        var copy = function(low, high) {
+            var error = clipboard.copy(game, low, high);
+            if (error) {
+                client.showMessage('clipboard', error);
+                return;
+            }
+            clipboard.save(localStorage);
+            client.showMessage('clipboard', 'Copied ' + clipboard.size.join('x'));
+            skippedMessage();
+        };
+        var skippedMessage = function() {
+            if (clipboard.skipped > 0) {
+                client.showMessage('clipboard', 'Left out ' + clipboard.skipped + ' voxels you can\'t place');
+            }
+        };
+        inputHandler.on('clipboard', function() {
+            clipboardMode = !clipboardMode;
+            if (!clipboardMode) {
+                clipboardLines.skip(true);
+            }
+            client.showMessage('clipboard', clipboardMode ? 'Clipboard mode on' : 'Clipboard mode off');
+        });
+        // Clears the region that was last copied
+        inputHandler.on('cut', function() {
+            var chunkVoxelIndexValue = {};
+            var touching = {};
+            if (!clipboardMode || !clipboard.sourceLow) {
+                return;
+            }
+            coordinates.lowToHighEach(
+                clipboard.sourceLow,
+                clipboard.sourceHigh,
+                function(i, j, k) {
+                    if (game.getVoxel(i, j, k) !== null) {
+                        game.setBlock(i, j, k, 0, chunkVoxelIndexValue, touching);
+                    }
+                }
+            );
+            clipboard.sourceLow = clipboard.sourceHigh = null;
+            client.worker.postMessage(['chunkVoxelIndexValue', chunkVoxelIndexValue, touching]);
+        });
+        // Pastes with the clipboard's lowest corner at the voxel next to the one we're pointing at
+        inputHandler.on('paste', function() {
+            var chunkVoxelIndexValue = {};
+            var touching = {};
+            var skipped = 0;
+            if (!clipboardMode || clipboard.isEmpty() || !currentVoxel || currentVoxel[0] === null) {
+                return;
+            }
+            clipboard.each(function(x, y, z, value) {
+                if (value === null) {
+                    return;
+                }
+                x += currentNormalVoxel[0];
+                y += currentNormalVoxel[1];
+                z += currentNormalVoxel[2];
+                if (game.getVoxel(x, y, z) === null) {
+                    skipped++;
+                    return;
+                }
+                game.setBlock(x, y, z, value, chunkVoxelIndexValue, touching);
+            });
+            if (skipped > 0) {
+                client.showMessage('clipboard', 'Skipped ' + skipped + ' voxels that are too far away');
+            }
+            client.worker.postMessage(['chunkVoxelIndexValue', chunkVoxelIndexValue, touching]);
+        });
+        inputHandler.on('rotate', function() {
+            if (!clipboardMode || clipboard.isEmpty()) {
+                return;
+            }
+            clipboard.rotate();
+            clipboard.save(localStorage);
+        });
+        inputHandler.on('mirror', function() {
+            if (!clipboardMode || clipboard.isEmpty()) {
+                return;
+            }
+            clipboard.mirror();
+            clipboard.save(localStorage);
+        });
+
         inputHandler.on('currentMaterial', function(c) {
             currentMaterial = c;
         });
 
+        client.on('claims', function(updated) {
+            var outlines;
+            var offset = 0;
+            claims = updated;
+            if (claims.length == 0) {
+                claimLines.skip(true);
+                return;
+            }
+            outlines = claims.map(function(claim) {
+                var high = [claim.high[0] + 1, claim.high[1] + 1, claim.high[2] + 1];
+                return Shapes.wire.cube(claim.low, high);
+            });
+            var points = new Float32Array(outlines.length * outlines[0].length);
+            for (var i = 0; i < outlines.length; i++) {
+                points.set(outlines[i], offset);
+                offset += outlines[i].length;
+            }
+            claimLines.fill(points);
+        });
+
+        client.on('error', function(message, type) {
+            if (type == 'claim' || type == 'history') {
+                client.showMessage('server', message);
+            }
+        });
+
+        inputHandler.on('undo', function() {
+            client.undo();
+        });
+        inputHandler.on('redo', function() {
+            client.redo();
+        });
+
+        var claimAtCurrentVoxel = function() {
+            if (!currentVoxel) {
+                return null;
+            }
+            for (var i = 0; i < claims.length; i++) {
+                var claim = claims[i];
+                if (
+                    claim.low[0] <= currentVoxel[0] && currentVoxel[0] <= claim.high[0] &&
+                    claim.low[1] <= currentVoxel[1] && currentVoxel[1] <= claim.high[1] &&
+                    claim.low[2] <= currentVoxel[2] && currentVoxel[2] <= claim.high[2]
+                ) {
+                    return claim;
+                }
+            }
+            return null;
+        };
+
+        /*
+        Land claim chat commands. Those that act on an existing claim use the one containing the targeted voxel.
+
+        /pos1, /pos2 - mark the corners of a new claim at the targeted voxel
+        /claim - claim the region between the corners
+        /unclaim - remove a claim
+        /grant username, /revoke username - allow or disallow someone to build in a claim
+        /claims - list claims
+        */
+        var claimCommand = function(message) {
+            var parts = message.trim().split(/\s+/);
+            var command = parts[0];
+            var username = parts.slice(1).join(' ');
+            var claim;
+            switch (command) {
+                case '/pos1':
+                case '/pos2':
+                    if (!currentVoxel) {
+                        client.showMessage('server', 'Point at a block first');
+                        return;
+                    }
+                    claimCorners[ command == '/pos1' ? 0 : 1 ] = currentVoxel.slice();
+                    client.showMessage('server', 'Corner set to ' + currentVoxel.join(','));
+                    return;
+                case '/claim':
+                    if (!claimCorners[0] || !claimCorners[1]) {
+                        client.showMessage('server', 'Set both corners with /pos1 and /pos2 first');
+                        return;
+                    }
+                    client.claim({action: 'create', low: claimCorners[0], high: claimCorners[1]});
+                    claimCorners[0] = claimCorners[1] = null;
+                    return;
+                case '/claims':
+                    if (claims.length == 0) {
+                        client.showMessage('server', 'Nobody has claimed any land');
+                    }
+                    for (var i = 0; i < claims.length; i++) {
+                        claim = claims[i];
+                        client.showMessage(
+                            claim.owner,
+                            claim.low.join(',') + ' to ' + claim.high.join(',') +
+                            (claim.builders.length ? ', builders: ' + claim.builders.join(', ') : '')
+                        );
+                    }
+                    return;
+            }
+            claim = claimAtCurrentVoxel();
+            if (!claim) {
+                client.showMessage('server', 'Point at a block inside a claim first');
+                return;
+            }
+            switch (command) {
+                case '/unclaim':
+                    client.claim({action: 'remove', id: claim.id});
+                    break;
+                case '/grant':
+                    client.claim({action: 'grant', id: claim.id, username: username});
+                    break;
+                case '/revoke':
+                    client.claim({action: 'revoke', id: claim.id, username: username});
+                    break;
+                default:
+                    client.showMessage('server', 'Unknown command ' + command);
+                    break;
+            }
+        };
+
+        /*
+        Schematic chat commands. These work on the clipboard
+
+        /export - download the clipboard as a Sponge schematic, or /export vox for MagicaVoxel
+        /import - pick a .schem or .vox file to load into the clipboard
+        */
+        var schematic = new Schematic(config.voxels);
+        var schematicCommand = function(message) {
+            var parts = message.trim().split(/\s+/);
+            var format = parts[1] || 'schem';
+            var bytes;
+            var link;
+            if (parts[0] == '/import') {
+                document.getElementById('schematicFile').click();
+                return;
+            }
+            if (clipboard.isEmpty()) {
+                client.showMessage('clipboard', 'Copy something first');
+                return;
+            }
+            try {
+                bytes = schematic.export(clipboard, format);
+            } catch (e) {
+                client.showMessage('clipboard', e.message);
+                return;
+            }
+            link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([bytes], {type: 'application/octet-stream'}));
+            link.download = 'voxeling-' + clipboard.size.join('x') + '.' + format;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        };
+        document.getElementById('schematicFile').addEventListener('change', function(event) {
+            var file = event.target.files[0];
+            var reader = new FileReader();
+            if (!file) {
+                return;
+            }
+            reader.onload = function() {
+                var structure;
+                var error;
+                try {
+                    structure = schematic.import(new Uint8Array(reader.result));
+                } catch (e) {
+                    client.showMessage('clipboard', 'Failed to import ' + file.name + ': ' + e.message);
+                    return;
+                }
+                error = clipboard.set(structure);
+                if (error) {
+                    client.showMessage('clipboard', error);
+                    return;
+                }
+                clipboard.save(localStorage);
+                clipboardMode = true;
+                client.showMessage('clipboard', 'Imported ' + clipboard.size.join('x') + ' into the clipboard, press v to paste');
+                skippedMessage();
+                if (structure.unknown.length > 0) {
+                    client.showMessage('clipboard', 'Left these unknown voxel types empty: ' + structure.unknown.join(', '));
+                }
+            };
+            reader.readAsArrayBuffer(file);
+            // So picking the same file again still triggers a change
+            event.target.value = '';
+        });
+
         inputHandler.on('chat', function(message) {
+            if (message.indexOf('/export') == 0 || message.indexOf('/import') == 0) {
+                schematicCommand(message);
+                return;
+            }
+            if (message.charAt(0) == '/') {
+                claimCommand(message);
+                return;
+            }
+            // Server fills in who sent it
             var out = {
-                user: localStorage.getItem('name'),
                 text: message
             };
             client.worker.postMessage(['chat', out]);
@@ -493,6 +810,7 @@ client.on('ready', function() {
 
         var voxelHit = pool.malloc('array', 3);
         var voxelNormal = pool.malloc('array', 3);
+        var clipboardHigh = pool.malloc('array', 3);
         var distance = 10;
         var direction = vec3.create();
         var pointer = function() {
@@ -543,9 +861,20 @@ client.on('ready', function() {
                     }
                 }
                 lines.skip(false);
+
+                if (clipboardMode && !clipboard.isEmpty()) {
+                    clipboardHigh[0] = currentNormalVoxel[0] + clipboard.size[0];
+                    clipboardHigh[1] = currentNormalVoxel[1] + clipboard.size[1];
+                    clipboardHigh[2] = currentNormalVoxel[2] + clipboard.size[2];
+                    clipboardLines.fill(Shapes.wire.cube(currentNormalVoxel, clipboardHigh));
+                    clipboardLines.skip(false);
+                } else {
+                    clipboardLines.skip(true);
+                }
             } else {
                 // clear
                 lines.skip(true);
+                clipboardLines.skip(true);
                 currentVoxel = null;
             }
         };
@@ -563,9 +892,13 @@ client.on('ready', function() {
             for (var id in players) {
                 var player = players[id];
                 var summed = 0;
-                for (var i = 0; i < player.adjustments.length; i++) {
-                    player.current[i] += player.adjustments[i];
-                    summed += Math.abs(player.adjustments[i]);
+                // Only move until we reach the latest position from the server
+                if (player.remaining > 0) {
+                    for (var i = 0; i < player.adjustments.length; i++) {
+                        player.current[i] += player.adjustments[i];
+                        summed += Math.abs(player.adjustments[i]);
+                    }
+                    player.remaining--;
                 }
                 player.model.setTranslation(
                     player.current[0],
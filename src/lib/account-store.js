@@ -0,0 +1,105 @@
+var crypto = require('crypto');
+
+var usernamePattern = /^[A-Za-z0-9_\- ]{3,32}$/;
+var minimumPasswordLength = 6;
+var keyLength = 64;
+
+// callback should match function(error, account)
+var AccountStore = function() {
+};
+module.exports = AccountStore;
+
+
+// Usernames are case-insensitive, like MySQL's account table, so Bob and bob are one account.
+// create and authenticate normalise them before the store sees them
+var normalize = function(username) {
+    return username.toLowerCase();
+};
+AccountStore.normalize = normalize;
+
+
+// Asyncronous. Extend this class and fetch the account by username, which is already normalized.
+// Calls back with a null account if it doesn't exist
+AccountStore.prototype.getAccount = function(username, callback) {
+    callback(null, null);
+};
+
+// Asyncronous. Extend this class and persist the account.
+AccountStore.prototype.saveAccount = function(account, callback) {
+    callback('This account store does not save accounts');
+};
+
+
+AccountStore.prototype.create = function(username, password, callback) {
+    var self = this;
+    if (typeof username !== 'string' || !usernamePattern.test(username)) {
+        callback('Usernames must be 3 to 32 letters, numbers, spaces, dashes or underscores');
+        return;
+    }
+    if (typeof password !== 'string' || password.length < minimumPasswordLength) {
+        callback('Passwords must be at least ' + minimumPasswordLength + ' characters');
+        return;
+    }
+    username = normalize(username);
+    this.getAccount(username, function(error, existing) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        if (existing) {
+            callback('That username is taken');
+            return;
+        }
+        var salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, keyLength, function(error, hash) {
+            if (error) {
+                callback('Failed to hash password: ' + error);
+                return;
+            }
+            var account = {
+                username: username,
+                salt: salt,
+                hash: hash.toString('hex'),
+                created_ms: Date.now()
+            };
+            self.saveAccount(account, function(error) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                callback(null, account);
+            });
+        });
+    });
+};
+
+
+// Calls back with the account if the password matches
+AccountStore.prototype.authenticate = function(username, password, callback) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        callback('Username and password are required');
+        return;
+    }
+    this.getAccount(normalize(username), function(error, account) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        if (!account) {
+            callback(null, null);
+            return;
+        }
+        crypto.scrypt(password, account.salt, keyLength, function(error, hash) {
+            if (error) {
+                callback('Failed to hash password: ' + error);
+                return;
+            }
+            var expected = Buffer.from(account.hash, 'hex');
+            if (expected.length != hash.length || !crypto.timingSafeEqual(expected, hash)) {
+                callback('Wrong username or password');
+                return;
+            }
+            callback(null, account);
+        });
+    });
+};
@@ -0,0 +1,140 @@
+var AccountStore = require('../account-store');
+var atomicWrite = require('../atomic-write');
+var fs = require('fs');
+var inherits = require('util').inherits;
+var log = require('../log')('FileAccountStore', false);
+
+// Keeps all accounts in memory, keyed by normalized username, and writes them to a single JSON file.
+// The previous file is kept as filename + '.bak', and loaded if filename can't be
+var FileAccountStore = function(filename) {
+    AccountStore.call(this);
+    this.filename = filename;
+    this.backup = filename + '.bak';
+    this.accounts = {};
+    this.saving = false;
+    this.saveAgain = false;
+    // From the last write, for flush to report
+    this.error = null;
+    // Whether filename is good enough to back up. Not if it failed to load
+    this.backupOnSave = true;
+
+    var accounts = this.read(filename);
+    if (accounts instanceof Error) {
+        // Missing is fine on first run. Anything else is what the backup is for
+        if (accounts.code != 'ENOENT') {
+            console.log('FileAccountStore', accounts.message + ', trying ' + this.backup);
+            this.backupOnSave = false;
+        }
+        var backup = this.read(this.backup);
+        if (backup instanceof Error) {
+            if (accounts.code != 'ENOENT') {
+                throw accounts;
+            }
+            log('no accounts file yet', filename);
+            backup = {};
+        }
+        accounts = backup;
+    }
+    for (var username in accounts) {
+        this.add(accounts[username]);
+    }
+};
+inherits(FileAccountStore, AccountStore);
+module.exports = FileAccountStore;
+
+
+// Returns the accounts in a file, or an Error
+FileAccountStore.prototype.read = function(filename) {
+    try {
+        return JSON.parse(fs.readFileSync(filename));
+    } catch (e) {
+        var error = new Error('Failed to load accounts from ' + filename + ': ' + e.message);
+        error.code = e.code;
+        return error;
+    }
+};
+
+
+// Files from before usernames were normalized can have accounts that differ only in case.
+// Like MySQL's primary key would have, the first one created wins
+FileAccountStore.prototype.add = function(account) {
+    var key = AccountStore.normalize(account.username);
+    var existing = this.accounts[key];
+    if (existing && existing.created_ms <= account.created_ms) {
+        console.log('FileAccountStore', 'ignoring account ' + account.username + ', ' + existing.username + ' has it');
+        return;
+    }
+    this.accounts[key] = account;
+};
+
+
+FileAccountStore.prototype.getAccount = function(username, callback) {
+    var account = null;
+    if (Object.prototype.hasOwnProperty.call(this.accounts, username)) {
+        account = this.accounts[username];
+    }
+    callback(null, account);
+};
+
+
+FileAccountStore.prototype.saveAccount = function(account, callback) {
+    this.accounts[AccountStore.normalize(account.username)] = account;
+    this.save();
+    callback(null);
+};
+
+
+// Writes are serialized so an older snapshot of the accounts never overwrites a newer one.
+// Each one copies the last good file to the backup, then replaces it atomically
+FileAccountStore.prototype.save = function() {
+    var self = this;
+    if (this.saving) {
+        this.saveAgain = true;
+        return;
+    }
+    this.saving = true;
+    var data = Buffer.from(JSON.stringify(this.accounts));
+    var write = function() {
+        atomicWrite(self.filename, data, function(error) {
+            self.saving = false;
+            self.error = error;
+            if (error) {
+                console.log('FileAccountStore::save', error);
+            } else {
+                self.backupOnSave = true;
+            }
+            if (self.saveAgain) {
+                self.saveAgain = false;
+                self.save();
+            }
+        });
+    };
+    if (!this.backupOnSave) {
+        write();
+        return;
+    }
+    fs.copyFile(this.filename, this.backup, function(error) {
+        if (error && error.code != 'ENOENT') {
+            console.log('FileAccountStore::save', error);
+        }
+        write();
+    });
+};
+
+
+// Calls back once the accounts are written, with an error if that failed. A write that failed earlier
+// is tried again first
+FileAccountStore.prototype.flush = function(callback) {
+    var self = this;
+    var wait = function() {
+        if (self.saving) {
+            setTimeout(wait, 100);
+            return;
+        }
+        callback(self.error ? 'Failed to save accounts: ' + self.error : null);
+    };
+    if (this.error && !this.saving) {
+        this.save();
+    }
+    wait();
+};
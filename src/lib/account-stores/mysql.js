@@ -0,0 +1,64 @@
+var AccountStore = require('../account-store');
+var mysql = require('mysql');
+var inherits = require('util').inherits;
+
+var MysqlAccountStore = function(config) {
+    AccountStore.call(this);
+    this.mysqlPool = mysql.createPool(config);
+    // Accounts being saved, for flush
+    this.pending = 0;
+};
+inherits(MysqlAccountStore, AccountStore);
+module.exports = MysqlAccountStore;
+
+
+MysqlAccountStore.prototype.getAccount = function(username, callback) {
+    var sql = 'select username, salt, hash, created_ms from account where username=?';
+    this.mysqlPool.query(sql, [username], function(error, results) {
+        if (error) {
+            callback('Error getting account from MySQL: ' + error);
+            return;
+        }
+        if (results.length == 0) {
+            callback(null, null);
+            return;
+        }
+        callback(null, results[0]);
+    });
+};
+
+
+MysqlAccountStore.prototype.saveAccount = function(account, callback) {
+    var self = this;
+    this.pending++;
+    this.mysqlPool.query(
+        'INSERT INTO account SET ?',
+        {
+            username: account.username,
+            salt: account.salt,
+            hash: account.hash,
+            created_ms: account.created_ms
+        },
+        function(error) {
+            self.pending--;
+            if (error) {
+                callback('Error saving account to MySQL: ' + error);
+                return;
+            }
+            callback(null);
+        }
+    );
+};
+
+
+// Calls back once accounts being saved are. Their errors go to saveAccount's callback
+MysqlAccountStore.prototype.flush = function(callback) {
+    var self = this;
+    if (this.pending > 0) {
+        setTimeout(function() {
+            self.flush(callback);
+        }, 100);
+        return;
+    }
+    callback(null);
+};
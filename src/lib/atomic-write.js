@@ -0,0 +1,33 @@
+var fs = require('fs');
+
+/*
+Writes data to a temporary file, fsyncs it, then renames it over path.
+A crash at any point leaves either the old file or the new one, never part of one.
+Callback gets an error if any step failed, in which case path is untouched.
+*/
+module.exports = function(path, data, callback) {
+    var temporary = path + '.tmp';
+    fs.open(temporary, 'w', function(err, fd) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fs.write(fd, data, 0, data.length, 0, function(err) {
+            if (err) {
+                fs.close(fd, function() {
+                    callback(err);
+                });
+                return;
+            }
+            fs.fsync(fd, function(err) {
+                fs.close(fd, function(closeErr) {
+                    if (err || closeErr) {
+                        callback(err || closeErr);
+                        return;
+                    }
+                    fs.rename(temporary, path, callback);
+                });
+            });
+        });
+    });
+};
@@ -0,0 +1,306 @@
+/*
+Compact binary framing for the WebSocket messages we send most often. Everything else stays JSON.
+
+Every frame starts with:
+
+    uint8 version
+    uint8 message type
+
+players:
+    uint16 number of players
+    per player: string id, 6 float32 positions (x, y, z, pitch, yaw, roll), string avatar
+
+myPosition:
+    3 float32 position, float32 yaw, float32 pitch, string avatar
+
+chunkVoxelIndexValue:
+    uint32 sequence (0 when the sender isn't tracking acknowledgements)
+    uint8 bytes per voxel index (2 or 4)
+    uint16 number of chunks
+    per chunk: 3 int32 chunk position, uint32 number of changes, then index and uint16 value pairs
+
+Strings are a uint8 byte length followed by UTF-8 bytes. Multi-byte numbers are little-endian.
+*/
+var version = 1;
+
+var types = {
+    players: 1,
+    myPosition: 2,
+    chunkVoxelIndexValue: 3
+};
+var names = {};
+for (var name in types) {
+    names[ types[name] ] = name;
+}
+
+var textEncoder = new TextEncoder();
+var textDecoder = new TextDecoder();
+
+var Writer = function(size) {
+    this.buffer = new ArrayBuffer(size);
+    this.view = new DataView(this.buffer);
+    this.bytes = new Uint8Array(this.buffer);
+    this.offset = 0;
+};
+Writer.prototype.uint8 = function(value) {
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+};
+Writer.prototype.uint16 = function(value) {
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+};
+Writer.prototype.uint32 = function(value) {
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+};
+Writer.prototype.int32 = function(value) {
+    this.view.setInt32(this.offset, value, true);
+    this.offset += 4;
+};
+Writer.prototype.float32 = function(value) {
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+};
+// Expects the output of encodeString
+Writer.prototype.string = function(encoded) {
+    this.uint8(encoded.length);
+    this.bytes.set(encoded, this.offset);
+    this.offset += encoded.length;
+};
+
+var Reader = function(view) {
+    this.view = view;
+    this.offset = 0;
+};
+Reader.prototype.uint8 = function() {
+    var value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+};
+Reader.prototype.uint16 = function() {
+    var value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+};
+Reader.prototype.uint32 = function() {
+    var value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+};
+Reader.prototype.int32 = function() {
+    var value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+};
+Reader.prototype.float32 = function() {
+    var value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+};
+Reader.prototype.string = function() {
+    var length = this.uint8();
+    if (this.offset + length > this.view.byteLength) {
+        throw new RangeError('String runs past end of message');
+    }
+    var bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+    this.offset += length;
+    return textDecoder.decode(bytes);
+};
+
+// Strings longer than 255 bytes are truncated
+var encodeString = function(value) {
+    var encoded = textEncoder.encode(String(value || ''));
+    if (encoded.length > 255) {
+        encoded = encoded.subarray(0, 255);
+    }
+    return encoded;
+};
+
+
+var encoders = {
+    players: function(players) {
+        var ids = Object.keys(players);
+        var encodedIds = [];
+        var encodedAvatars = [];
+        var size = 4;
+        var writer;
+        for (var i = 0; i < ids.length; i++) {
+            encodedIds[i] = encodeString(ids[i]);
+            encodedAvatars[i] = encodeString(players[ ids[i] ].avatar);
+            size += 1 + encodedIds[i].length + 24 + 1 + encodedAvatars[i].length;
+        }
+        writer = new Writer(size);
+        writer.uint8(version);
+        writer.uint8(types.players);
+        writer.uint16(ids.length);
+        for (var i = 0; i < ids.length; i++) {
+            var positions = players[ ids[i] ].positions;
+            writer.string(encodedIds[i]);
+            for (var j = 0; j < 6; j++) {
+                writer.float32(positions[j]);
+            }
+            writer.string(encodedAvatars[i]);
+        }
+        return writer.buffer;
+    },
+
+    // [position, yaw, pitch, avatar]
+    myPosition: function(payload) {
+        var avatar = encodeString(payload[3]);
+        var writer = new Writer(2 + 20 + 1 + avatar.length);
+        writer.uint8(version);
+        writer.uint8(types.myPosition);
+        writer.float32(payload[0][0]);
+        writer.float32(payload[0][1]);
+        writer.float32(payload[0][2]);
+        writer.float32(payload[1]);
+        writer.float32(payload[2]);
+        writer.string(avatar);
+        return writer.buffer;
+    },
+
+    // Either the changes, or {sequence: 1, changes: {...}}
+    chunkVoxelIndexValue: function(payload) {
+        var sequence = 0;
+        var changes = payload;
+        var chunkIds;
+        var indexBytes = 2;
+        var size = 2 + 4 + 1 + 2;
+        var writer;
+        if ('sequence' in payload && 'changes' in payload) {
+            sequence = payload.sequence;
+            changes = payload.changes;
+        }
+        chunkIds = Object.keys(changes);
+        for (var i = 0; i < chunkIds.length; i++) {
+            var details = changes[ chunkIds[i] ];
+            for (var j = 0; j < details.length; j += 2) {
+                if (details[j] > 0xffff) {
+                    indexBytes = 4;
+                }
+            }
+        }
+        for (var i = 0; i < chunkIds.length; i++) {
+            size += 12 + 4 + (changes[ chunkIds[i] ].length / 2) * (indexBytes + 2);
+        }
+
+        writer = new Writer(size);
+        writer.uint8(version);
+        writer.uint8(types.chunkVoxelIndexValue);
+        writer.uint32(sequence);
+        writer.uint8(indexBytes);
+        writer.uint16(chunkIds.length);
+        for (var i = 0; i < chunkIds.length; i++) {
+            var position = chunkIds[i].split('|');
+            var details = changes[ chunkIds[i] ];
+            writer.int32(Number(position[0]));
+            writer.int32(Number(position[1]));
+            writer.int32(Number(position[2]));
+            writer.uint32(details.length / 2);
+            for (var j = 0; j < details.length; j += 2) {
+                if (indexBytes == 2) {
+                    writer.uint16(details[j]);
+                } else {
+                    writer.uint32(details[j]);
+                }
+                writer.uint16(details[j + 1]);
+            }
+        }
+        return writer.buffer;
+    }
+};
+
+
+var decoders = {
+    players: function(reader) {
+        var players = {};
+        var count = reader.uint16();
+        for (var i = 0; i < count; i++) {
+            var id = reader.string();
+            var positions = new Array(6);
+            for (var j = 0; j < 6; j++) {
+                positions[j] = reader.float32();
+            }
+            players[id] = {
+                positions: positions,
+                avatar: reader.string()
+            };
+        }
+        return players;
+    },
+
+    myPosition: function(reader) {
+        var position = [reader.float32(), reader.float32(), reader.float32()];
+        var yaw = reader.float32();
+        var pitch = reader.float32();
+        return [position, yaw, pitch, reader.string()];
+    },
+
+    chunkVoxelIndexValue: function(reader) {
+        var sequence = reader.uint32();
+        var indexBytes = reader.uint8();
+        var count = reader.uint16();
+        var changes = {};
+        if (indexBytes != 2 && indexBytes != 4) {
+            throw new RangeError('Unexpected voxel index size: ' + indexBytes);
+        }
+        for (var i = 0; i < count; i++) {
+            var chunkId = reader.int32() + '|' + reader.int32() + '|' + reader.int32();
+            var length = reader.uint32();
+            if (reader.offset + length * (indexBytes + 2) > reader.view.byteLength) {
+                throw new RangeError('Voxel changes run past end of message');
+            }
+            var details = new Array(length * 2);
+            for (var j = 0; j < details.length; j += 2) {
+                details[j] = (indexBytes == 2 ? reader.uint16() : reader.uint32());
+                details[j + 1] = reader.uint16();
+            }
+            changes[chunkId] = details;
+        }
+        if (sequence) {
+            return {
+                sequence: sequence,
+                changes: changes
+            };
+        }
+        return changes;
+    }
+};
+
+
+module.exports = {
+    version: version,
+
+    // Whether this message type has a binary encoding
+    supports: function(name) {
+        return name in types;
+    },
+
+    // Returns an ArrayBuffer
+    encode: function(name, payload) {
+        return encoders[name](payload);
+    },
+
+    // Accepts an ArrayBuffer or a Node.js Buffer. Returns [name, payload] just like the JSON messages.
+    // Throws if the message is malformed
+    decode: function(data) {
+        var view;
+        var reader;
+        var type;
+        if (data instanceof ArrayBuffer) {
+            view = new DataView(data);
+        } else {
+            view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        }
+        reader = new Reader(view);
+        if (reader.uint8() != version) {
+            throw new Error('Unsupported binary protocol version');
+        }
+        type = reader.uint8();
+        if (!(type in names)) {
+            throw new Error('Unknown binary message type: ' + type);
+        }
+        return [ names[type], decoders[ names[type] ](reader) ];
+    }
+};
@@ -0,0 +1,128 @@
+var VoxelValue = require('./voxel-value');
+
+var chunkIDPattern = /^-?\d+\|-?\d+\|-?\d+$/;
+
+/*
+Checks chunkVoxelIndexValue payloads from clients before they reach the chunk store:
+
+{
+    chunkId: [index, value, index2, value2 ...],
+    ...
+}
+
+Values are a block id plus state bits, see voxel-value.js. config.voxelRemap and the allowed list apply to the id.
+*/
+var ChunkChangesValidator = function(config, isChunkInBounds) {
+    this.chunkSize = config.chunkSize;
+    this.chunkArrayLength = config.chunkSize * config.chunkSize * config.chunkSize;
+    this.isChunkInBounds = isChunkInBounds;
+    this.maxChunks = config.maxChunksPerEdit || 64;
+    this.maxChanges = config.maxVoxelsPerEdit || 65536;
+    this.voxelRemap = config.voxelRemap || {};
+
+    // Air, plus every voxel players are allowed to place
+    this.allowedValues = {
+        0: true
+    };
+    for (var value in config.voxels) {
+        if (Number(value) > VoxelValue.maxId) {
+            throw new Error('Voxel id ' + value + ' in config is too big, ids go up to ' + VoxelValue.maxId);
+        }
+        if (config.voxels[value].hidden) {
+            continue;
+        }
+        this.allowedValues[value] = true;
+    }
+};
+module.exports = ChunkChangesValidator;
+
+
+// Returns an error message if the changes should be rejected, otherwise false.
+// Sanitized changes are copied into out.
+ChunkChangesValidator.prototype.validate = function(changes, out) {
+    var chunkIds;
+    var total = 0;
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return 'Voxel changes must be an object keyed by chunk ID';
+    }
+    chunkIds = Object.keys(changes);
+    if (chunkIds.length == 0) {
+        return 'No voxel changes sent';
+    }
+    if (chunkIds.length > this.maxChunks) {
+        return 'Too many chunks changed at once: ' + chunkIds.length + ', limit is ' + this.maxChunks;
+    }
+
+    for (var i = 0; i < chunkIds.length; i++) {
+        var chunkId = chunkIds[i];
+        var details = changes[chunkId];
+        var error = this.validateChunkId(chunkId);
+        if (error) {
+            return error;
+        }
+        if (!Array.isArray(details) || details.length == 0 || details.length % 2 != 0) {
+            return 'Changes for ' + chunkId + ' must be index and value pairs';
+        }
+        total += details.length / 2;
+        if (total > this.maxChanges) {
+            return 'Too many voxels changed at once, limit is ' + this.maxChanges;
+        }
+
+        var sanitized = new Array(details.length);
+        var id;
+        var state;
+        for (var j = 0; j < details.length; j += 2) {
+            var index = details[j];
+            var value = details[j + 1];
+            if (!Number.isInteger(index)) {
+                return 'Voxel index is not a number for ' + chunkId + ': ' + index;
+            }
+            if (index < 0 || index >= this.chunkArrayLength) {
+                return 'Voxel index out of range for ' + chunkId + ': ' + index;
+            }
+            if (!Number.isInteger(value)) {
+                return 'Voxel value is not a number for ' + chunkId + ': ' + value;
+            }
+            if (value < 0 || value > 65535) {
+                return 'Voxel value out of range for ' + chunkId + ': ' + value;
+            }
+            // Remap and check the block id, but keep the state bits
+            id = VoxelValue.id(value);
+            state = VoxelValue.state(value);
+            if (id in this.voxelRemap) {
+                id = this.voxelRemap[id];
+            }
+            if (!(id in this.allowedValues)) {
+                return 'Voxel value not allowed: ' + id;
+            }
+            if (id == 0 && state != 0) {
+                return 'Air has no state: ' + value;
+            }
+            value = VoxelValue.make(id, state);
+            sanitized[j] = index;
+            sanitized[j + 1] = value;
+        }
+        out[chunkId] = sanitized;
+    }
+    return false;
+};
+
+
+ChunkChangesValidator.prototype.validateChunkId = function(chunkId) {
+    var chunkSize = this.chunkSize;
+    if (!chunkIDPattern.test(chunkId)) {
+        return 'Malformed chunk ID: ' + chunkId;
+    }
+    var position = chunkId.split('|').map(function(value) {
+        return Number(value);
+    });
+    // Chunk IDs are the lower boundary of the chunk, so must be a multiple of chunkSize
+    if (position[0] % chunkSize != 0 || position[1] % chunkSize != 0 || position[2] % chunkSize != 0) {
+        return 'Chunk ID not aligned to chunk boundary: ' + chunkId;
+    }
+    if (!this.isChunkInBounds(chunkId)) {
+        return 'Chunk is outside the world: ' + chunkId;
+    }
+    return false;
+};
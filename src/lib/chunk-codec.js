@@ -0,0 +1,265 @@
+var VoxelValue = require('./voxel-value');
+
+/*
+Compact encoding for a chunk's voxels. Used for chunk files, region files, database rows and the
+/chunk/ HTTP route, and decoded in the browser by client-worker.js, so it only uses typed arrays.
+
+The first byte says how the rest is laid out:
+
+    0 raw: the voxels, one byte each
+    1 uniform: one byte, the value of every voxel
+    2 runs:
+        uint8: palette length minus 1
+        palette: the distinct voxel values, one byte each
+        runs, in voxel index order, each a varint of (run length - 1) * palette length + palette index
+    3 raw16: the voxels, uint16 each
+    4 uniform16: uint16, the value of every voxel
+    5 runs16: like runs, but the palette length and palette values are uint16
+
+Voxels are 16 bits (see voxel-value.js), but chunks where every value fits in a byte use the first three
+formats since they're smaller. Those are also what 8-bit worlds were saved with, so they still load.
+
+Most chunks are all air or all ground, which come out as 2 or 3 bytes. The rest are mostly long runs of a
+handful of values, where a run usually fits in 1 or 2 bytes. If runs would come out at least as big as one
+byte per voxel we fall back to raw, so encoded chunks are never exactly as long as the voxel count.
+
+Varints are 7 bits per byte, least significant first, high bit set on all but the last byte.
+uint16s are little-endian.
+*/
+var formats = {
+    raw: 0,
+    uniform: 1,
+    runs: 2,
+    raw16: 3,
+    uniform16: 4,
+    runs16: 5
+};
+
+
+// Palette index of each voxel value while encoding, -1 for values we haven't seen.
+// Shared between calls, and put back to -1 afterwards
+var lookup = new Int32Array(65536).fill(-1);
+
+
+// Accepts a Uint16Array (or Uint8Array). Returns a new Uint8Array
+var encode = function(voxels) {
+    var palette = [];
+    var out;
+    for (var i = 0; i < voxels.length; i++) {
+        var value = voxels[i];
+        if (lookup[value] == -1) {
+            lookup[value] = palette.length;
+            palette.push(value);
+        }
+    }
+    out = encodeWithPalette(voxels, palette);
+    for (var i = 0; i < palette.length; i++) {
+        lookup[ palette[i] ] = -1;
+    }
+    return out;
+};
+
+
+var encodeWithPalette = function(voxels, palette) {
+    var length = voxels.length;
+    var wide = false;
+    var valueBytes;
+    var out;
+    var offset;
+    var i;
+
+    for (i = 0; i < palette.length; i++) {
+        if (palette[i] > 255) {
+            wide = true;
+        }
+    }
+    if (palette.length == 1) {
+        if (wide) {
+            return new Uint8Array([formats.uniform16, palette[0] & 255, palette[0] >> 8]);
+        }
+        return new Uint8Array([formats.uniform, palette[0]]);
+    }
+
+    // Anything that reaches this length is no smaller than raw
+    out = new Uint8Array(length);
+    valueBytes = (wide ? 2 : 1);
+    if (wide) {
+        out[0] = formats.runs16;
+        writeUint16(out, 1, palette.length - 1);
+        offset = 3;
+    } else {
+        out[0] = formats.runs;
+        out[1] = palette.length - 1;
+        offset = 2;
+    }
+    if (offset + palette.length * valueBytes >= length) {
+        return raw(voxels, wide);
+    }
+    for (i = 0; i < palette.length; i++) {
+        if (wide) {
+            writeUint16(out, offset, palette[i]);
+        } else {
+            out[offset] = palette[i];
+        }
+        offset += valueBytes;
+    }
+
+    i = 0;
+    while (i < length) {
+        var start = i;
+        var run;
+        while (i < length && voxels[i] == voxels[start]) {
+            i++;
+        }
+        // A varint of a run can take up to 5 bytes
+        if (offset + 5 >= length) {
+            return raw(voxels, wide);
+        }
+        run = (i - start - 1) * palette.length + lookup[ voxels[start] ];
+        while (run > 127) {
+            out[offset++] = (run % 128) | 128;
+            run = Math.floor(run / 128);
+        }
+        out[offset++] = run;
+    }
+    return out.slice(0, offset);
+};
+
+
+var raw = function(voxels, wide) {
+    var out;
+    if (!wide) {
+        out = new Uint8Array(voxels.length + 1);
+        out[0] = formats.raw;
+        out.set(voxels, 1);
+        return out;
+    }
+    out = new Uint8Array(voxels.length * 2 + 1);
+    out[0] = formats.raw16;
+    for (var i = 0; i < voxels.length; i++) {
+        writeUint16(out, 1 + i * 2, voxels[i]);
+    }
+    return out;
+};
+
+
+// Accepts a Uint8Array, Node.js Buffer or ArrayBuffer. Returns a new Uint16Array of length voxels.
+// Throws if the data is malformed
+var decode = function(data, length) {
+    var bytes = (data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    var voxels;
+    var paletteLength;
+    var palette;
+    var offset;
+    var position;
+    var i;
+
+    switch (bytes[0]) {
+        case formats.raw:
+            if (bytes.length != length + 1) {
+                throw new RangeError('Expected ' + length + ' raw voxels but got ' + (bytes.length - 1));
+            }
+            return widen(bytes.subarray(1));
+
+        case formats.raw16:
+            if (bytes.length != length * 2 + 1) {
+                throw new RangeError('Expected ' + length + ' raw voxels but got ' + ((bytes.length - 1) / 2));
+            }
+            voxels = VoxelValue.chunkArray(length);
+            for (i = 0; i < length; i++) {
+                voxels[i] = readUint16(bytes, 1 + i * 2);
+            }
+            return voxels;
+
+        case formats.uniform:
+            if (bytes.length != 2) {
+                throw new RangeError('Uniform chunk should be 2 bytes, got ' + bytes.length);
+            }
+            return VoxelValue.chunkArray(length).fill(bytes[1]);
+
+        case formats.uniform16:
+            if (bytes.length != 3) {
+                throw new RangeError('Uniform chunk should be 3 bytes, got ' + bytes.length);
+            }
+            return VoxelValue.chunkArray(length).fill(readUint16(bytes, 1));
+
+        case formats.runs:
+        case formats.runs16:
+            voxels = VoxelValue.chunkArray(length);
+            if (bytes[0] == formats.runs) {
+                paletteLength = bytes[1] + 1;
+                palette = bytes.subarray(2, 2 + paletteLength);
+                offset = 2 + paletteLength;
+            } else {
+                paletteLength = readUint16(bytes, 1) + 1;
+                palette = new Array(paletteLength);
+                for (i = 0; i < paletteLength; i++) {
+                    palette[i] = readUint16(bytes, 3 + i * 2);
+                }
+                offset = 3 + paletteLength * 2;
+            }
+            if (offset > bytes.length) {
+                throw new RangeError('Voxel palette cut short');
+            }
+            position = 0;
+            while (offset < bytes.length) {
+                var run = 0;
+                var scale = 1;
+                var byte;
+                do {
+                    if (offset == bytes.length) {
+                        throw new RangeError('Voxel run cut short');
+                    }
+                    byte = bytes[offset++];
+                    run += (byte & 127) * scale;
+                    scale *= 128;
+                } while (byte & 128);
+                var index = run % paletteLength;
+                var count = Math.floor(run / paletteLength) + 1;
+                if (position + count > length) {
+                    throw new RangeError('Voxel runs go past the end of the chunk');
+                }
+                voxels.fill(palette[index], position, position + count);
+                position += count;
+            }
+            if (position != length) {
+                throw new RangeError('Voxel runs cover ' + position + ' of ' + length + ' voxels');
+            }
+            return voxels;
+    }
+    throw new RangeError('Unknown chunk format: ' + bytes[0]);
+};
+
+
+// Copies one byte per voxel data, like chunks saved before voxels were 16 bits, into a Uint16Array
+var widen = function(bytes) {
+    var voxels = VoxelValue.chunkArray(bytes.length);
+    voxels.set(bytes);
+    return voxels;
+};
+
+
+// Whether data is gzipped, like the voxels the database stores saved before we had this codec
+var gzipped = function(data) {
+    return data.length > 1 && data[0] == 0x1f && data[1] == 0x8b;
+};
+
+
+var writeUint16 = function(bytes, offset, value) {
+    bytes[offset] = value & 255;
+    bytes[offset + 1] = value >> 8;
+};
+
+
+var readUint16 = function(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+};
+
+
+module.exports = {
+    formats: formats,
+    encode: encode,
+    decode: decode,
+    widen: widen,
+    gzipped: gzipped
+};
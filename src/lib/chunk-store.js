@@ -11,6 +11,11 @@ ChunkStore.prototype.tick = function() {
     // Extend this class and do stuff
 };
 
+// Write out anything not yet persisted, then call back. Used at shutdown
+ChunkStore.prototype.flush = function(callback) {
+    callback();
+};
+
 module.exports = ChunkStore;
 
 
@@ -1,35 +1,59 @@
 var stats = require('../voxel-stats');
 var ChunkStore = require('../chunk-store');
+var codec = require('../chunk-codec');
 var fs = require('fs');
+var atomicWrite = require('../atomic-write');
+var crypto = require('crypto');
 var concur = require('../max-concurrent')(50);
 var HLRU = require('hashlru');
-var cache = HLRU(200);
+var log = require('../log')('FileChunkStore', false);
 var debug = false;
-
-if (debug) {
-    cache.on('evict',function(data) {
-        console.log('evicted: ' + data.value.chunkID);
-    });
-}
+// Times flush tries writes that fail before giving up
+var flushAttempts = 3;
 
 /*
-Note: with our current setup, there's a very small chance we could lose data due to race conditions
+Chunks we've changed or generated but not yet written stay pinned in toSave, and then in writing
+while the write is in progress, even if the LRU cache evicts them. Without that we could lose data:
 
 # User1 requests ChunkA that we need to generate
 # ChunkA is generated and added to toSave
-# User1 makes a change to ChunkA, somehow before it has been saved to disk. We save every 3 seconds, so maybe a node.js hiccup?
+# User1 makes a change to ChunkA before it has been saved to disk
 # ChunkA is evicted from lru cache due to pressure from requests for other chunks
 # User2 moves near and requests ChunkA
 # ChunkA doesn't exist in cache, so is regenerated and added to toSave (squashing the previous changes)
 # ChunkA is finally saved to disk, but doesn't reflect what User1 expects
 
+So get() and gotChunkChanges() check the pinned chunks before going to disk or the generator.
+Concurrent gets for the same chunk share one read, so two copies of a chunk can't both be modified.
 */
 
+/*
+Chunk files start with a header so we can tell a complete file from a truncated or garbled one:
+
+    4 bytes: "VXLC"
+    uint32 little-endian: number of bytes that follow the header
+    20 bytes: SHA-1 of the bytes that follow the header
+
+The rest is the voxels encoded with chunk-codec.js. Older files have the voxels there one byte each instead,
+which we can tell apart because an encoded chunk is never exactly chunkArraySize bytes long.
+Files from before we added the header are just the voxel bytes. We still read both kinds, and they
+get rewritten in the current format the next time they're saved.
+*/
+var magic = Buffer.from('VXLC');
+var headerLength = 4 + 4 + 20;
+
 var FileChunkStore = function(generator, chunkFolder) {
     var self = this;
     ChunkStore.call(this, generator);
     this.chunkFolder = chunkFolder;
+    this.cache = HLRU(200);
     this.toSave = {};
+    // Chunks with a write in progress, keyed by chunk ID. We wait for those to finish before writing the chunk again
+    this.writing = {};
+    // Callbacks waiting on a chunk we're reading or generating, keyed by chunk ID
+    this.loading = {};
+    // Whether to move corrupt chunk files aside. Scripts reading a world they mustn't change turn this off
+    this.quarantine = true;
 
     setInterval(
         function() {
@@ -42,44 +66,110 @@ var FileChunkStore = function(generator, chunkFolder) {
 module.exports = FileChunkStore;
 
 
+FileChunkStore.prototype.filename = function(chunkID) {
+    return chunkID.replace(/\|/g, '.').replace(/-/g, 'n');
+};
+
+
+// Returns the chunk if it's cached, or pinned because it hasn't been saved yet. Otherwise null
+FileChunkStore.prototype.inMemory = function(chunkID) {
+    var chunk = this.cache.get(chunkID);
+    if (chunk) {
+        return chunk;
+    }
+    chunk = this.toSave[chunkID] || this.writing[chunkID];
+    if (chunk) {
+        this.cache.set(chunkID, chunk);
+        return chunk;
+    }
+    return null;
+};
+
+
 FileChunkStore.prototype.get = function(chunkID, callback) {
     var self = this;
     var chunk;
     var filename;
-    var readCallback;
-    chunk = cache.get(chunkID);
+    var generate;
+    var loaded;
+    chunk = this.inMemory(chunkID);
     if (!!chunk) {
         callback(null, chunk);
         return;
     }
+    if (chunkID in this.loading) {
+        this.loading[chunkID].push(callback);
+        return;
+    }
+    this.loading[chunkID] = [callback];
+
+    loaded = function(error, chunk) {
+        var callbacks = self.loading[chunkID];
+        delete self.loading[chunkID];
+        for (var i = 0; i < callbacks.length; i++) {
+            callbacks[i](error, chunk);
+        }
+    };
+
+    generate = function() {
+        chunk = self.generator.get(chunkID);
+        if (chunk) {
+            self.cache.set(chunkID, chunk);
+            self.toSave[chunkID] = chunk;
+            loaded(null, chunk);
+        } else {
+            console.log('no chunk?');
+            // For some reason our generator didn't return a chunk
+            loaded('Failed to generate chunk ' + chunkID);
+        }
+    };
 
     // Queue these up so we don't exhaust our file handle limit
     // wrap the call and callback to make sure we keep triggering calls until we've emptied our queue
 
     // Check filesystem
-    filename = chunkID.replace(/\|/g, '.').replace(/-/g, 'n');
+    filename = this.filename(chunkID);
     if (debug) {
         console.log('FileChunkStore:get ' + chunkID);
     }
     concur(function(done) {
         fs.readFile(self.chunkFolder + filename, function(err, data) {
+            var voxels;
             if (err) {
+                if (err.code != 'ENOENT') {
+                    loaded('Failed to read chunk ' + chunkID + ': ' + err);
+                    done();
+                    return;
+                }
                 if (debug) {
                     console.log('FileChunkStore:get chunk not found');
                 }
                 // File not found, generate it
-                chunk = self.generator.get(chunkID);
-                if (chunk) {
-                    cache.set(chunkID, chunk);
-                    self.toSave[chunkID] = chunk;
-                    callback(null, chunk);
-                } else {
-                    console.log('no chunk?');
-                    // For some reason our generator didn't return a chunk
-                }
+                generate();
                 done();
                 return;
             }
+            voxels = self.decode(data);
+            if (!voxels && !self.quarantine) {
+                console.log('Chunk file for ' + chunkID + ' is corrupt');
+                generate();
+                done();
+                return;
+            }
+            if (!voxels) {
+                // Move it out of the way so we don't lose it, and start over with a freshly generated chunk
+                var quarantined = self.chunkFolder + filename + '.corrupt-' + Date.now();
+                console.log('Chunk file for ' + chunkID + ' is corrupt, moving it to ' + quarantined);
+                stats.count('chunks.corrupt');
+                fs.rename(self.chunkFolder + filename, quarantined, function(err) {
+                    if (err) {
+                        console.log('Failed to quarantine corrupt chunk file', err);
+                    }
+                    generate();
+                    done();
+                });
+                return;
+            }
             if (debug) {
                 console.log('Loaded ' + filename);
             }
@@ -89,80 +179,238 @@ FileChunkStore.prototype.get = function(chunkID, callback) {
             chunk = {
                 position: position,
                 chunkID: chunkID,
-                // TODO: fix this hardcoded value
-                voxels: new Uint8Array(data)
+                voxels: voxels
             };
-            cache.set(chunkID, chunk);
-            callback(null, chunk);
+            self.cache.set(chunkID, chunk);
+            loaded(null, chunk);
             done();
         });
     });
 };
 
 
-// Update chunks if we have them in memory
+// Returns the voxels from a chunk file, or null if the file is damaged
+FileChunkStore.prototype.decode = function(data) {
+    var length;
+    var body;
+    if (data.length >= headerLength && data.compare(magic, 0, 4, 0, 4) == 0) {
+        length = data.readUInt32LE(4);
+        body = data.subarray(headerLength);
+        if (body.length != length || checksum(body).compare(data, 8, headerLength) != 0) {
+            return null;
+        }
+        if (body.length == this.generator.chunkArraySize) {
+            return codec.widen(body);
+        }
+        try {
+            return codec.decode(body, this.generator.chunkArraySize);
+        } catch (e) {
+            return null;
+        }
+    }
+    // Written before we had headers
+    if (data.length == this.generator.chunkArraySize) {
+        return codec.widen(data);
+    }
+    return null;
+};
+
+
+FileChunkStore.prototype.encode = function(voxels) {
+    var body = codec.encode(voxels);
+    var data = Buffer.alloc(headerLength + body.length);
+    magic.copy(data, 0);
+    data.writeUInt32LE(body.length, 4);
+    data.set(body, headerLength);
+    checksum(data.subarray(headerLength)).copy(data, 8);
+    return data;
+};
+
+
+// Apply changes to chunks, loading any we don't have in memory first
 FileChunkStore.prototype.gotChunkChanges = function(chunks) {
     var self = this;
-    // No race conditions here for memory store, but database and file might be a different story
-    for (var chunkID in chunks) {
-        var chunk = cache.get(chunkID);
-        if (!!chunk) {
-            var details = chunks[chunkID];
-            // This takes place in the server
-            //delete self.encodedChunkCache[chunkID];
-            for (var i = 0; i < details.length; i += 2) {
-                var index = details[i];
-                var val = details[i + 1];
-                var old = chunk.voxels[index];
-                chunk.voxels[index] = val;
-                if (old) {
-                    if (val) {
-                        stats.count('blocks.changed');
-                    } else {
-                        stats.count('blocks.destroyed');
-                    }
+    var apply = function(chunk, details) {
+        for (var i = 0; i < details.length; i += 2) {
+            var index = details[i];
+            var val = details[i + 1];
+            var old = chunk.voxels[index];
+            chunk.voxels[index] = val;
+            if (old) {
+                if (val) {
+                    stats.count('blocks.changed');
                 } else {
-                    stats.count('blocks.created');
+                    stats.count('blocks.destroyed');
                 }
-
+            } else {
+                stats.count('blocks.created');
             }
-            self.toSave[chunkID] = chunk;
-            //self.emitter.emit('chunkChanged', chunkID);
+        }
+        self.toSave[chunk.chunkID] = chunk;
+    };
+    var load = function(chunkID, details) {
+        self.get(chunkID, function(error, chunk) {
+            if (error) {
+                console.log('Dropping changes to ' + chunkID + ', failed to load it', error);
+                return;
+            }
+            apply(chunk, details);
+        });
+    };
+    for (var chunkID in chunks) {
+        var chunk = this.inMemory(chunkID);
+        if (!!chunk) {
+            apply(chunk, chunks[chunkID]);
         } else {
-            // For some reason, chunk not found in this.chunkCache
+            load(chunkID, chunks[chunkID]);
         }
     }
 };
 
 
+// Queue a whole chunk for saving, like when copying chunks in from another store
+FileChunkStore.prototype.put = function(chunk) {
+    this.cache.set(chunk.chunkID, chunk);
+    this.toSave[chunk.chunkID] = chunk;
+};
+
+
+// Calls back with the IDs of every chunk saved in chunkFolder
+FileChunkStore.prototype.chunkIDs = function(callback) {
+    fs.readdir(this.chunkFolder, function(error, filenames) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        callback(null, filenames.filter(function(filename) {
+            return /^n?\d+\.n?\d+\.n?\d+$/.test(filename);
+        }).map(function(filename) {
+            return filename.replace(/n/g, '-').replace(/\./g, '|');
+        }));
+    });
+};
+
+
 // Call this on a timeout
-// Callback gets triggered on success or failure
+// Optional callback gets triggered once every chunk we started writing has been written, or failed to,
+// with the first error if any did
 // Schedule the next timeout afterwards
-FileChunkStore.prototype.save = function() {
+FileChunkStore.prototype.save = function(callback) {
     var self = this;
+    var pending = 1;
+    var wrote = false;
+    var failed = null;
+    var finished = function() {
+        pending--;
+        if (pending > 0) {
+            return;
+        }
+        // Make the renames durable too
+        if (wrote) {
+            self.syncFolder(function() {
+                if (callback) {
+                    callback(failed);
+                }
+            });
+        } else if (callback) {
+            callback(failed);
+        }
+    };
     // TODO: include saves in the same file handle queue as gets
     // is there an abstraction (npm module) to help with this?
-    var op = function(filename, chunk) {
+    var op = function(chunkID, chunk) {
         return function(done) {
-            fs.writeFile(self.chunkFolder + filename, Buffer.from(chunk.voxels), function(err) {
+            self.write(self.filename(chunkID), chunk.voxels, function(err) {
+                delete self.writing[chunkID];
                 if (err) {
-                    done();
-                    return console.log(err);
+                    console.log('Failed to save chunk ' + chunkID, err);
+                    failed = failed || err;
+                    // Try again next time, unless it changed and was queued again meanwhile
+                    if (!(chunkID in self.toSave)) {
+                        self.toSave[chunkID] = chunk;
+                    }
+                } else {
+                    wrote = true;
+                    log('save', 'saved ' + chunkID);
                 }
-                console.log('Saved chunk ' + chunkID);
                 done();
+                finished();
             });
         };
     };
     for (var chunkID in this.toSave) {
-        var filename = chunkID.replace(/\|/g, '.').replace(/-/g, 'n');
         var chunk = this.toSave[chunkID];
+        if (chunkID in this.writing) {
+            // Leave it queued until the earlier write finishes
+            continue;
+        }
+        delete this.toSave[chunkID];
         if (chunk) {
-            concur(op(filename, chunk));
+            this.writing[chunkID] = chunk;
+            pending++;
+            concur(op(chunkID, chunk));
         } else {
             console.log('Need to save chunk, but chunk was sent to us', chunkID);
         }
     }
-    this.toSave = {};
+    finished();
+};
+
+
+// Saves everything that's queued, and calls back once nothing is left to write. Use before exiting.
+// Writes that keep failing are tried flushAttempts times, then we call back with the error
+FileChunkStore.prototype.flush = function(callback) {
+    var self = this;
+    var failures = 0;
+    var attempt = function() {
+        self.save(function(error) {
+            if (error) {
+                failures++;
+                if (failures >= flushAttempts) {
+                    callback('Failed to save chunks: ' + error);
+                    return;
+                }
+            }
+            if (Object.keys(self.toSave).length > 0 || Object.keys(self.writing).length > 0) {
+                // Writes from an earlier save are still going, or failed and were queued again
+                setTimeout(attempt, 100);
+                return;
+            }
+            callback();
+        });
+    };
+    attempt();
+};
+
+
+// Written atomically, so a crash leaves either the old file or the new one, never part of one
+FileChunkStore.prototype.write = function(filename, voxels, callback) {
+    atomicWrite(this.chunkFolder + filename, this.encode(voxels), callback);
 };
 
+
+// Renames aren't durable until the directory itself is synced. Not all platforms support this,
+// so failures only get logged
+FileChunkStore.prototype.syncFolder = function(callback) {
+    fs.open(this.chunkFolder, 'r', function(err, fd) {
+        if (err) {
+            console.log('Failed to open chunk folder for syncing', err);
+            if (callback) {
+                callback();
+            }
+            return;
+        }
+        fs.fsync(fd, function() {
+            fs.close(fd, function() {
+                if (callback) {
+                    callback();
+                }
+            });
+        });
+    });
+};
+
+
+function checksum(voxels) {
+    return crypto.createHash('sha1').update(voxels).digest();
+}
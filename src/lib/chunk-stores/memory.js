@@ -9,22 +9,39 @@ var MemoryChunkStore = function(generator) {
 module.exports = MemoryChunkStore;
 
 
-MemoryChunkStore.prototype.get = function(chunkID) {
+MemoryChunkStore.prototype.get = function(chunkID, callback) {
     var chunk;
     if (chunkID in this.chunkCache) {
-        this.emitter.emit('got', this.chunkCache[ chunkID ]);
+        callback(null, this.chunkCache[ chunkID ]);
         return;
     }
     chunk = this.generator.get(chunkID);
     if (chunk) {
         this.chunkCache[ chunkID ] = chunk;
-        this.emitter.emit('got', chunk);
+        callback(null, chunk);
     } else {
         // For some reason our generator didn't return a chunk
+        callback('Failed to generate chunk ' + chunkID);
     }
 };
 
 
+MemoryChunkStore.prototype.put = function(chunk) {
+    this.chunkCache[ chunk.chunkID ] = chunk;
+};
+
+
+// Nothing to write
+MemoryChunkStore.prototype.flush = function(callback) {
+    callback();
+};
+
+
+MemoryChunkStore.prototype.chunkIDs = function(callback) {
+    callback(null, Object.keys(this.chunkCache));
+};
+
+
 // Update chunks if we have them in memory
 MemoryChunkStore.prototype.gotChunkChanges = function(chunks) {
     var self = this;
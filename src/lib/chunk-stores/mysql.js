@@ -1,9 +1,9 @@
 var stats = require('../voxel-stats');
 var ChunkStore = require('../chunk-store');
+var codec = require('../chunk-codec');
+var decodeVoxels = require('../sql-database').decodeVoxels;
 var mysql = require('mysql');
-var zlib = require('zlib');
 var HLRU = require('hashlru');
-var cache = HLRU(400);
 var log = require('../log')('MysqlChunkStore', false);
 
 var worldId = 1;
@@ -11,6 +11,7 @@ var worldId = 1;
 var MysqlChunkStore = function(generator, config) {
     var self = this;
     ChunkStore.call(this, generator);
+    this.cache = HLRU(400);
     // ChunkID -> chunk data structure
     this.toSave = {};
     this.changes = {};
@@ -34,7 +35,7 @@ module.exports = MysqlChunkStore;
 
 MysqlChunkStore.prototype.get = function(chunkID, callback) {
     var self = this;
-    var chunk = cache.get(chunkID);
+    var chunk = this.cache.get(chunkID);
     if (chunk) {
         callback(null, chunk);
         return;
@@ -60,30 +61,28 @@ MysqlChunkStore.prototype.get = function(chunkID, callback) {
             chunk = self.generator.get(chunkID);
             if (chunk) {
                 log('get', 'generated. queueing for saving: ' + chunkID);
-                cache.set(chunkID, chunk);
+                self.cache.set(chunkID, chunk);
                 callback(null, chunk);
                 self.toSave[chunkID] = chunk;
             } else {
                 log('get', 'generate failed for ' + chunkID);
-                // For some reason our generator didn't return a chunk
+                callback('Failed to generate chunk ' + chunkID);
             }
             return;
         } else if (results.length == 1) {
             log('get', 'select returned ' + chunkID);
 
-            // decompress
-            zlib.gunzip(results[0].voxels, function(error, buffer) {
+            decodeVoxels(results[0].voxels, self.generator.chunkArraySize, function(error, voxels) {
                 if (error) {
-                    log('get', 'Error gunzipping voxels: ', error);
+                    callback('Error decoding voxels for ' + chunkID + ': ' + error);
                     return;
                 }
                 var chunk = {
                     position: position,
                     chunkID: chunkID,
-                    voxels: new Uint8Array(buffer),
-                    compressedVoxels: results[0].voxels
+                    voxels: voxels
                 };
-                cache.set(chunkID, chunk);
+                self.cache.set(chunkID, chunk);
                 callback(null, chunk);
             });
         }
@@ -121,7 +120,7 @@ MysqlChunkStore.prototype.applyChanges = function() {
     for (var i = 0; i < ids.length; i++) {
         var chunkID = ids[i];
         var details;
-        var chunk = cache.get(chunkID);
+        var chunk = self.cache.get(chunkID);
         if (!chunk) {
             // Request the chunk from ourselves, the mysql store, so we can modify it and then save it
             self.get(chunkID, function(error, chunk) {
@@ -131,9 +130,8 @@ MysqlChunkStore.prototype.applyChanges = function() {
         }
         // If we have the chunk in our LRU cache, update it and queue for a save
         merge(chunk, self.changes[chunkID]);
-        chunk.compressedVoxels = false;
         // Update LRU cache
-        cache.set(chunkID, chunk);
+        self.cache.set(chunkID, chunk);
         /*
         if (old) {
             if (val) {
@@ -170,27 +168,86 @@ MysqlChunkStore.prototype.save = function() {
 };
 
 
-MysqlChunkStore.prototype.saveVoxels = function(chunkID, chunk) {
+MysqlChunkStore.prototype.saveVoxels = function(chunkID, chunk, callback) {
     var self = this;
-    zlib.gzip(Buffer.from(chunk.voxels), function(error, buffer) {
+    self.mysqlPool.query(
+        'REPLACE INTO chunk SET ?',
+        {
+            x: chunk.position[0],
+            y: chunk.position[1],
+            z: chunk.position[2],
+            voxels: Buffer.from(codec.encode(chunk.voxels)),
+            updated_ms: Date.now()
+        },
+        function(error) {
+            if (error) {
+                console.log('MysqlChunkStore::saveVoxels', error);
+                // Try again next time, unless it changed and was queued again meanwhile
+                if (!(chunkID in self.toSave)) {
+                    self.toSave[chunkID] = chunk;
+                }
+            }
+            if (callback) {
+                callback(error);
+            }
+        }
+    );
+};
+
+
+// Queue a whole chunk for saving, like when copying chunks in from another store
+MysqlChunkStore.prototype.put = function(chunk) {
+    this.cache.set(chunk.chunkID, chunk);
+    this.toSave[chunk.chunkID] = chunk;
+};
+
+
+// Calls back with the IDs of every chunk saved in the database
+MysqlChunkStore.prototype.chunkIDs = function(callback) {
+    this.mysqlPool.query('select x,y,z from chunk', [], function(error, results) {
         if (error) {
-            console.log('Error compressing voxels', error);
+            callback('Error listing chunks in MySQL: ' + error);
             return;
         }
-        self.mysqlPool.query(
-            'REPLACE INTO chunk SET ?',
-            {
-                x: chunk.position[0],
-                y: chunk.position[1],
-                z: chunk.position[2],
-                voxels: buffer,
-                updated_ms: Date.now()
-            },
-            function(error) {
-                if (error) {
-                    console.log('MysqlChunkStore::saveVoxels', error);
-                }
-            }
-        );
+        callback(null, results.map(function(row) {
+            return row.x + '|' + row.y + '|' + row.z;
+        }));
     });
 };
+
+
+// Saves everything that's queued, and calls back once it's written. Use before exiting.
+// If a chunk fails to save, calls back with the error. The chunk stays queued for the next save
+MysqlChunkStore.prototype.flush = function(callback) {
+    var self = this;
+    var pending = 1;
+    var failed = null;
+    var finished = function(error) {
+        if (error && !failed) {
+            failed = error;
+        }
+        pending--;
+        if (pending > 0) {
+            return;
+        }
+        if (failed) {
+            callback('Failed to save chunks to MySQL: ' + failed);
+            return;
+        }
+        // Changes to chunks that weren't cached yet get applied once they load
+        if (Object.keys(self.changes).length > 0 || Object.keys(self.toSave).length > 0) {
+            setTimeout(function() {
+                self.flush(callback);
+            }, 100);
+            return;
+        }
+        callback();
+    };
+    this.applyChanges();
+    for (var chunkID in this.toSave) {
+        pending++;
+        this.saveVoxels(chunkID, this.toSave[chunkID], finished);
+        delete this.toSave[chunkID];
+    }
+    finished();
+};
@@ -0,0 +1,385 @@
+var stats = require('../voxel-stats');
+var ChunkStore = require('../chunk-store');
+var RegionFile = require('../region-file');
+var codec = require('../chunk-codec');
+var fs = require('fs');
+var zlib = require('zlib');
+var HLRU = require('hashlru');
+var log = require('../log')('RegionChunkStore', false);
+
+// Times flush tries writes that fail before giving up
+var flushAttempts = 3;
+var regionFilePattern = /^r\.(n?\d+)\.(n?\d+)\.(n?\d+)\.region$/;
+
+/*
+Saves chunks into region files in chunkFolder, regionSize^3 chunks per file. See region-file.js for the format.
+Files are named like r.0.n1.0.region, with n marking negative region coordinates.
+Voxels are encoded with chunk-codec.js. Chunks saved before that were deflated, and we still read those.
+
+Like FileChunkStore, changed chunks stay pinned in toSave (then writing) until they're saved.
+*/
+var RegionChunkStore = function(generator, chunkFolder, regionSize) {
+    var self = this;
+    ChunkStore.call(this, generator);
+    this.chunkFolder = chunkFolder;
+    this.chunkSize = generator.chunkSize;
+    this.regionSize = regionSize || 16;
+    this.cache = HLRU(200);
+    this.toSave = {};
+    this.writing = {};
+    this.loading = {};
+    // Open region files, keyed by filename
+    this.regions = {};
+
+    setInterval(
+        function() {
+            self.save();
+        },
+        // Save chunks every 3 seconds
+        3000
+    );
+    // New versions of chunks leave gaps behind, so squeeze them out now and then
+    setInterval(
+        function() {
+            self.compact(function(error, compacted) {
+                if (error) {
+                    console.log('Failed to compact region files', error);
+                    return;
+                }
+                log('compact', 'compacted ' + compacted + ' region files');
+            });
+        },
+        // Hourly
+        60 * 60 * 1000
+    ).unref();
+};
+module.exports = RegionChunkStore;
+
+
+// Returns the region file holding a chunk, and the chunk's index within it
+RegionChunkStore.prototype.locate = function(chunkID) {
+    var regionSize = this.regionSize;
+    var region = [];
+    var local = [];
+    var position = chunkID.split('|');
+    for (var i = 0; i < 3; i++) {
+        var chunk = Number(position[i]) / this.chunkSize;
+        region[i] = Math.floor(chunk / regionSize);
+        local[i] = chunk - region[i] * regionSize;
+    }
+    var filename = 'r.' + region.join('.').replace(/-/g, 'n') + '.region';
+    if (!(filename in this.regions)) {
+        this.regions[filename] = new RegionFile(this.chunkFolder + filename, regionSize);
+    }
+    return {
+        region: this.regions[filename],
+        index: local[0] + (local[1] * regionSize) + (local[2] * regionSize * regionSize)
+    };
+};
+
+
+// Returns the chunk if it's cached, or pinned because it hasn't been saved yet. Otherwise null
+RegionChunkStore.prototype.inMemory = function(chunkID) {
+    var chunk = this.cache.get(chunkID);
+    if (chunk) {
+        return chunk;
+    }
+    chunk = this.toSave[chunkID] || this.writing[chunkID];
+    if (chunk) {
+        this.cache.set(chunkID, chunk);
+        return chunk;
+    }
+    return null;
+};
+
+
+RegionChunkStore.prototype.get = function(chunkID, callback) {
+    var self = this;
+    var chunk = this.inMemory(chunkID);
+    var location;
+    var loaded;
+    if (chunk) {
+        callback(null, chunk);
+        return;
+    }
+    // Share one read between everyone asking for this chunk
+    if (chunkID in this.loading) {
+        this.loading[chunkID].push(callback);
+        return;
+    }
+    this.loading[chunkID] = [callback];
+    loaded = function(error, chunk) {
+        var callbacks = self.loading[chunkID];
+        delete self.loading[chunkID];
+        for (var i = 0; i < callbacks.length; i++) {
+            callbacks[i](error, chunk);
+        }
+    };
+
+    log('get', chunkID);
+    location = this.locate(chunkID);
+    location.region.read(location.index, function(error, data) {
+        if (error) {
+            loaded('Failed to read chunk ' + chunkID + ': ' + error);
+            return;
+        }
+        self.decode(data, function(voxels) {
+            if (!voxels) {
+                // Not saved yet, or corrupt. Generate it
+                chunk = self.generator.get(chunkID);
+                if (!chunk) {
+                    loaded('Failed to generate chunk ' + chunkID);
+                    return;
+                }
+                self.toSave[chunkID] = chunk;
+            } else {
+                chunk = {
+                    position: chunkID.split('|').map(Number),
+                    chunkID: chunkID,
+                    voxels: voxels
+                };
+            }
+            self.cache.set(chunkID, chunk);
+            loaded(null, chunk);
+        });
+    });
+};
+
+
+// Calls back with the voxels from a region file entry, or null if there's no entry or it can't be decoded
+RegionChunkStore.prototype.decode = function(data, callback) {
+    var size = this.generator.chunkArraySize;
+    var voxels;
+    if (!data) {
+        callback(null);
+        return;
+    }
+    // Deflated, from before we had chunk-codec.js
+    if (data[0] == 0x78) {
+        zlib.inflate(data, function(error, voxels) {
+            callback(error || voxels.length != size ? null : codec.widen(voxels));
+        });
+        return;
+    }
+    try {
+        voxels = codec.decode(data, size);
+    } catch (e) {
+        console.log('Failed to decode chunk', e.message);
+        voxels = null;
+    }
+    callback(voxels);
+};
+
+
+// Apply changes to chunks, loading any we don't have in memory first
+RegionChunkStore.prototype.gotChunkChanges = function(chunks) {
+    var self = this;
+    var apply = function(chunk, details) {
+        for (var i = 0; i < details.length; i += 2) {
+            chunk.voxels[ details[i] ] = details[i + 1];
+        }
+        self.toSave[chunk.chunkID] = chunk;
+    };
+    var load = function(chunkID, details) {
+        self.get(chunkID, function(error, chunk) {
+            if (error) {
+                console.log('Dropping changes to ' + chunkID + ', failed to load it', error);
+                return;
+            }
+            apply(chunk, details);
+        });
+    };
+    for (var chunkID in chunks) {
+        var chunk = this.inMemory(chunkID);
+        // changes are an index+value pair, so divide by 2 to get total number of changes
+        stats.count('blocks.changed', chunks[chunkID].length / 2);
+        if (chunk) {
+            apply(chunk, chunks[chunkID]);
+        } else {
+            load(chunkID, chunks[chunkID]);
+        }
+    }
+};
+
+
+// Queue a whole chunk for saving, like when copying chunks in from another store
+RegionChunkStore.prototype.put = function(chunk) {
+    this.cache.set(chunk.chunkID, chunk);
+    this.toSave[chunk.chunkID] = chunk;
+};
+
+
+// Call this on a timeout
+// Optional callback gets triggered once every chunk we started saving has been saved, or failed to,
+// with the first error if any did
+RegionChunkStore.prototype.save = function(callback) {
+    var self = this;
+    var pending = 1;
+    var failed = null;
+    var finished = function() {
+        pending--;
+        if (pending == 0 && callback) {
+            callback(failed);
+        }
+    };
+    var write = function(chunkID, chunk) {
+        var location = self.locate(chunkID);
+        location.region.write(location.index, codec.encode(chunk.voxels), function(error) {
+            delete self.writing[chunkID];
+            if (error) {
+                console.log('Failed to save chunk ' + chunkID, error);
+                failed = failed || error;
+                // Try again next time, unless it changed and was queued again meanwhile
+                if (!(chunkID in self.toSave)) {
+                    self.toSave[chunkID] = chunk;
+                }
+            } else {
+                log('save', 'saved ' + chunkID);
+            }
+            finished();
+        });
+    };
+    for (var chunkID in this.toSave) {
+        var chunk = this.toSave[chunkID];
+        if (chunkID in this.writing) {
+            // Leave it queued until the earlier write finishes
+            continue;
+        }
+        delete this.toSave[chunkID];
+        this.writing[chunkID] = chunk;
+        pending++;
+        write(chunkID, chunk);
+    }
+    finished();
+};
+
+
+// Saves everything that's queued, and calls back once nothing is left to write. Use before exiting.
+// Writes that keep failing are tried flushAttempts times, then we call back with the error
+RegionChunkStore.prototype.flush = function(callback) {
+    var self = this;
+    var failures = 0;
+    var attempt = function() {
+        self.save(function(error) {
+            if (error) {
+                failures++;
+                if (failures >= flushAttempts) {
+                    callback('Failed to save chunks: ' + error);
+                    return;
+                }
+            }
+            if (Object.keys(self.toSave).length > 0 || Object.keys(self.writing).length > 0) {
+                setTimeout(attempt, 100);
+                return;
+            }
+            callback();
+        });
+    };
+    attempt();
+};
+
+
+// Calls back with the IDs of every chunk saved in chunkFolder
+RegionChunkStore.prototype.chunkIDs = function(callback) {
+    var self = this;
+    var chunkSize = this.chunkSize;
+    var regionSize = this.regionSize;
+    fs.readdir(this.chunkFolder, function(error, filenames) {
+        var ids = [];
+        var pending = 1;
+        var failed = false;
+        var finished = function() {
+            pending--;
+            if (pending == 0 && !failed) {
+                callback(null, ids);
+            }
+        };
+        if (error) {
+            callback(error);
+            return;
+        }
+        filenames.forEach(function(filename) {
+            var matches = filename.match(regionFilePattern);
+            if (!matches) {
+                return;
+            }
+            var region = matches.slice(1).map(function(value) {
+                return Number(value.replace('n', '-'));
+            });
+            if (!(filename in self.regions)) {
+                self.regions[filename] = new RegionFile(self.chunkFolder + filename, regionSize);
+            }
+            pending++;
+            self.regions[filename].list(function(error, indexes) {
+                if (failed) {
+                    return;
+                }
+                if (error) {
+                    failed = true;
+                    callback(error);
+                    return;
+                }
+                indexes.forEach(function(index) {
+                    var x = index % regionSize;
+                    var y = Math.floor(index / regionSize) % regionSize;
+                    var z = Math.floor(index / (regionSize * regionSize));
+                    ids.push(
+                        ((region[0] * regionSize + x) * chunkSize) + '|' +
+                        ((region[1] * regionSize + y) * chunkSize) + '|' +
+                        ((region[2] * regionSize + z) * chunkSize)
+                    );
+                });
+                finished();
+            });
+        });
+        finished();
+    });
+};
+
+
+// Compacts every region file that's mostly wasted space. Calls back with the number compacted
+RegionChunkStore.prototype.compact = function(callback) {
+    var self = this;
+    fs.readdir(this.chunkFolder, function(error, filenames) {
+        var compacted = 0;
+        var next;
+        if (error) {
+            callback(error);
+            return;
+        }
+        filenames = filenames.filter(function(filename) {
+            return regionFilePattern.test(filename);
+        });
+        next = function(i) {
+            if (i == filenames.length) {
+                callback(null, compacted);
+                return;
+            }
+            var filename = filenames[i];
+            if (!(filename in self.regions)) {
+                self.regions[filename] = new RegionFile(self.chunkFolder + filename, self.regionSize);
+            }
+            var region = self.regions[filename];
+            region.waste(function(error, wasted, size) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                if (wasted < size / 2) {
+                    next(i + 1);
+                    return;
+                }
+                log('compact', filename + ' wastes ' + wasted + ' of ' + size + ' bytes');
+                region.compact(function(error) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    compacted++;
+                    next(i + 1);
+                });
+            });
+        };
+        next(0);
+    });
+};
@@ -0,0 +1,267 @@
+var stats = require('../voxel-stats');
+var ChunkStore = require('../chunk-store');
+var codec = require('../chunk-codec');
+var decodeVoxels = require('../sql-database').decodeVoxels;
+var sqlite3 = require('sqlite3');
+var HLRU = require('hashlru');
+var log = require('../log')('SqliteChunkStore', false);
+// Times flush tries saves that fail before giving up
+var flushAttempts = 3;
+
+// Same tables as scripts/mysql-import/setup.mysql, so snapshot.js works with either
+var schema = [
+    'create table if not exists chunk (x integer, y integer, z integer, voxels blob, updated_ms integer, primary key (x, y, z))',
+    'create table if not exists history (x integer, y integer, z integer, voxels blob, created_ms integer)',
+    'create index if not exists history_chunk on history (x, y, z, created_ms)'
+];
+
+/*
+Keeps the whole world in a single SQLite file. Voxels are encoded with chunk-codec.js. Rows saved
+before that are gzipped, and we still read those.
+
+Like FileChunkStore, changed chunks stay pinned in toSave (then writing) until they're saved,
+so an eviction from the LRU cache can't lose changes.
+
+config should be like {filename: 'chunks/world.sqlite'}
+*/
+var SqliteChunkStore = function(generator, config) {
+    var self = this;
+    ChunkStore.call(this, generator);
+    this.cache = HLRU(400);
+    // ChunkID -> chunk data structure
+    this.toSave = {};
+    this.writing = {};
+    this.loading = {};
+    this.db = new sqlite3.Database(config.filename);
+    // Statements run in order, so the tables exist before the first query
+    this.db.serialize();
+    // Lets snapshot.js read while the server writes
+    this.db.run('pragma journal_mode = WAL');
+    for (var i = 0; i < schema.length; i++) {
+        this.db.run(schema[i]);
+    }
+
+    setInterval(
+        function() {
+            self.save();
+        },
+        5000
+    );
+};
+module.exports = SqliteChunkStore;
+SqliteChunkStore.schema = schema;
+
+
+
+// Returns the chunk if it's cached, or pinned because it hasn't been saved yet. Otherwise null
+SqliteChunkStore.prototype.inMemory = function(chunkID) {
+    var chunk = this.cache.get(chunkID);
+    if (chunk) {
+        return chunk;
+    }
+    chunk = this.toSave[chunkID] || this.writing[chunkID];
+    if (chunk) {
+        this.cache.set(chunkID, chunk);
+        return chunk;
+    }
+    return null;
+};
+
+
+SqliteChunkStore.prototype.get = function(chunkID, callback) {
+    var self = this;
+    var chunk = this.inMemory(chunkID);
+    var loaded;
+    if (chunk) {
+        callback(null, chunk);
+        return;
+    }
+    // Share one query between everyone asking for this chunk
+    if (chunkID in this.loading) {
+        this.loading[chunkID].push(callback);
+        return;
+    }
+    this.loading[chunkID] = [callback];
+    loaded = function(error, chunk) {
+        var callbacks = self.loading[chunkID];
+        delete self.loading[chunkID];
+        for (var i = 0; i < callbacks.length; i++) {
+            callbacks[i](error, chunk);
+        }
+    };
+
+    log('get', chunkID);
+
+    var position = chunkID.split('|').map(function(value) {
+        return Number(value);
+    });
+    this.db.get('select voxels from chunk where x=? and y=? and z=?', position, function(error, row) {
+        if (error) {
+            loaded('Error getting chunk from SQLite: ' + error);
+            return;
+        }
+        if (!row) {
+            // Not saved yet, generate it
+            chunk = self.generator.get(chunkID);
+            if (chunk) {
+                log('get', 'generated. queueing for saving: ' + chunkID);
+                self.cache.set(chunkID, chunk);
+                self.toSave[chunkID] = chunk;
+                loaded(null, chunk);
+            } else {
+                log('get', 'generate failed for ' + chunkID);
+                loaded('Failed to generate chunk ' + chunkID);
+            }
+            return;
+        }
+        decodeVoxels(row.voxels, self.generator.chunkArraySize, function(error, voxels) {
+            if (error) {
+                loaded('Error decoding voxels for ' + chunkID + ': ' + error);
+                return;
+            }
+            var chunk = {
+                position: position,
+                chunkID: chunkID,
+                voxels: voxels
+            };
+            self.cache.set(chunkID, chunk);
+            loaded(null, chunk);
+        });
+    });
+};
+
+
+// Apply changes to chunks, loading any we don't have in memory first
+SqliteChunkStore.prototype.gotChunkChanges = function(chunks) {
+    var self = this;
+    var apply = function(chunk, details) {
+        for (var i = 0; i < details.length; i += 2) {
+            chunk.voxels[ details[i] ] = details[i + 1];
+        }
+        self.toSave[chunk.chunkID] = chunk;
+    };
+    var load = function(chunkID, details) {
+        self.get(chunkID, function(error, chunk) {
+            if (error) {
+                console.log('Dropping changes to ' + chunkID + ', failed to load it', error);
+                return;
+            }
+            apply(chunk, details);
+        });
+    };
+    for (var chunkID in chunks) {
+        var chunk = this.inMemory(chunkID);
+        // changes are an index+value pair, so divide by 2 to get total number of changes
+        stats.count('blocks.changed', chunks[chunkID].length / 2);
+        if (chunk) {
+            apply(chunk, chunks[chunkID]);
+        } else {
+            load(chunkID, chunks[chunkID]);
+        }
+    }
+};
+
+
+// Queue a whole chunk for saving, like when copying chunks in from another store
+SqliteChunkStore.prototype.put = function(chunk) {
+    this.cache.set(chunk.chunkID, chunk);
+    this.toSave[chunk.chunkID] = chunk;
+};
+
+
+// Calls back with the IDs of every chunk saved in the database
+SqliteChunkStore.prototype.chunkIDs = function(callback) {
+    this.db.all('select x,y,z from chunk', [], function(error, rows) {
+        if (error) {
+            callback('Error listing chunks in SQLite: ' + error);
+            return;
+        }
+        callback(null, rows.map(function(row) {
+            return row.x + '|' + row.y + '|' + row.z;
+        }));
+    });
+};
+
+
+// Call this on a timeout
+// Optional callback gets triggered once every chunk we started saving has been saved, or failed to,
+// with the first error if any did
+SqliteChunkStore.prototype.save = function(callback) {
+    var self = this;
+    var pending = 1;
+    var failed = null;
+    var finished = function(error) {
+        if (error && !failed) {
+            failed = error;
+        }
+        pending--;
+        if (pending == 0 && callback) {
+            callback(failed);
+        }
+    };
+    for (var chunkID in this.toSave) {
+        var chunk = this.toSave[chunkID];
+        if (chunkID in this.writing) {
+            // Leave it queued until the earlier save finishes
+            continue;
+        }
+        delete this.toSave[chunkID];
+        this.writing[chunkID] = chunk;
+        pending++;
+        this.saveVoxels(chunk, finished);
+    }
+    finished();
+};
+
+
+SqliteChunkStore.prototype.saveVoxels = function(chunk, callback) {
+    var self = this;
+    var chunkID = chunk.chunkID;
+    var failed = function(message, error) {
+        console.log(message, chunkID, error);
+        delete self.writing[chunkID];
+        // Try again next time, unless it changed and was queued again meanwhile
+        if (!(chunkID in self.toSave)) {
+            self.toSave[chunkID] = chunk;
+        }
+        callback(error);
+    };
+    self.db.run(
+        'insert or replace into chunk (x, y, z, voxels, updated_ms) values (?, ?, ?, ?, ?)',
+        [chunk.position[0], chunk.position[1], chunk.position[2], Buffer.from(codec.encode(chunk.voxels)), Date.now()],
+        function(error) {
+            if (error) {
+                failed('SqliteChunkStore::saveVoxels', error);
+                return;
+            }
+            delete self.writing[chunkID];
+            log('saveVoxels', 'saved ' + chunkID);
+            callback();
+        }
+    );
+};
+
+
+// Saves everything that's queued, and calls back once nothing is left to write. Use before exiting.
+// Saves that keep failing are tried flushAttempts times, then we call back with the error
+SqliteChunkStore.prototype.flush = function(callback) {
+    var self = this;
+    var failures = 0;
+    var attempt = function() {
+        self.save(function(error) {
+            if (error) {
+                failures++;
+                if (failures >= flushAttempts) {
+                    callback('Failed to save chunks to SQLite: ' + error);
+                    return;
+                }
+            }
+            if (Object.keys(self.toSave).length > 0 || Object.keys(self.writing).length > 0) {
+                setTimeout(attempt, 100);
+                return;
+            }
+            callback();
+        });
+    };
+    attempt();
+};
@@ -0,0 +1,97 @@
+var fs = require('fs');
+var atomicWrite = require('../atomic-write');
+
+// Keeps every claim in a single JSON file, next to the chunk files
+var FileClaimStore = function(chunkFolder) {
+    this.filename = chunkFolder + 'claims.json';
+    this.claims = {};
+    // Until the file has been read, writing it would throw away the claims in it
+    this.loaded = false;
+    this.saving = false;
+    this.saveAgain = false;
+    // From the last write, for flush to report
+    this.error = null;
+};
+module.exports = FileClaimStore;
+
+
+FileClaimStore.prototype.load = function(callback) {
+    var self = this;
+    fs.readFile(this.filename, function(error, data) {
+        if (error) {
+            if (error.code == 'ENOENT') {
+                self.loaded = true;
+                callback(null, []);
+                return;
+            }
+            callback(error);
+            return;
+        }
+        try {
+            self.claims = JSON.parse(data);
+        } catch (e) {
+            callback('Failed to parse ' + self.filename + ': ' + e.message);
+            return;
+        }
+        self.loaded = true;
+        callback(null, Object.keys(self.claims).map(function(id) {
+            return self.claims[id];
+        }));
+    });
+};
+
+
+FileClaimStore.prototype.save = function(claim) {
+    this.claims[claim.id] = claim;
+    this.write();
+};
+
+
+FileClaimStore.prototype.remove = function(id) {
+    delete this.claims[id];
+    this.write();
+};
+
+
+// Writes are serialized so an older snapshot of the claims never overwrites a newer one
+FileClaimStore.prototype.write = function() {
+    var self = this;
+    if (!this.loaded) {
+        console.log('FileClaimStore::write', 'not writing ' + this.filename + ' before it has loaded');
+        return;
+    }
+    if (this.saving) {
+        this.saveAgain = true;
+        return;
+    }
+    this.saving = true;
+    atomicWrite(this.filename, Buffer.from(JSON.stringify(this.claims)), function(error) {
+        self.saving = false;
+        self.error = error;
+        if (error) {
+            console.log('FileClaimStore::write', error);
+        }
+        if (self.saveAgain) {
+            self.saveAgain = false;
+            self.write();
+        }
+    });
+};
+
+
+// Calls back once the claims are written, with an error if that failed. A write that failed earlier
+// is tried again first
+FileClaimStore.prototype.flush = function(callback) {
+    var self = this;
+    var wait = function() {
+        if (self.saving) {
+            setTimeout(wait, 100);
+            return;
+        }
+        callback(self.error ? 'Failed to save claims: ' + self.error : null);
+    };
+    if (this.error && !this.saving) {
+        this.write();
+    }
+    wait();
+};
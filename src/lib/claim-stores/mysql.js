@@ -0,0 +1,89 @@
+var mysql = require('mysql');
+
+var MysqlClaimStore = function(config) {
+    this.mysqlPool = mysql.createPool(config);
+    // Queries still running, and the first one that failed, for flush
+    this.pending = 0;
+    this.error = null;
+};
+module.exports = MysqlClaimStore;
+
+
+MysqlClaimStore.prototype.load = function(callback) {
+    var sql = 'select id, owner, low_x, low_y, low_z, high_x, high_y, high_z, builders from claim';
+    this.mysqlPool.query(sql, function(error, results) {
+        if (error) {
+            callback('Error getting claims from MySQL: ' + error);
+            return;
+        }
+        callback(null, results.map(function(row) {
+            return {
+                id: row.id,
+                owner: row.owner,
+                low: [row.low_x, row.low_y, row.low_z],
+                high: [row.high_x, row.high_y, row.high_z],
+                builders: row.builders ? row.builders.split(',') : []
+            };
+        }));
+    });
+};
+
+
+MysqlClaimStore.prototype.save = function(claim) {
+    var self = this;
+    this.pending++;
+    this.mysqlPool.query(
+        'REPLACE INTO claim SET ?',
+        {
+            id: claim.id,
+            owner: claim.owner,
+            low_x: claim.low[0],
+            low_y: claim.low[1],
+            low_z: claim.low[2],
+            high_x: claim.high[0],
+            high_y: claim.high[1],
+            high_z: claim.high[2],
+            builders: claim.builders.join(','),
+            updated_ms: Date.now()
+        },
+        function(error) {
+            self.done(error);
+            if (error) {
+                console.log('MysqlClaimStore::save', error);
+            }
+        }
+    );
+};
+
+
+MysqlClaimStore.prototype.remove = function(id) {
+    var self = this;
+    this.pending++;
+    this.mysqlPool.query('DELETE FROM claim WHERE id=?', [id], function(error) {
+        self.done(error);
+        if (error) {
+            console.log('MysqlClaimStore::remove', error);
+        }
+    });
+};
+
+
+MysqlClaimStore.prototype.done = function(error) {
+    this.pending--;
+    if (error && !this.error) {
+        this.error = error;
+    }
+};
+
+
+// Calls back once running queries finish, with an error if any of them failed
+MysqlClaimStore.prototype.flush = function(callback) {
+    var self = this;
+    if (this.pending > 0) {
+        setTimeout(function() {
+            self.flush(callback);
+        }, 100);
+        return;
+    }
+    callback(this.error ? 'Failed to save claims to MySQL: ' + this.error : null);
+};
@@ -0,0 +1,215 @@
+var uuid = require('hat');
+var log = require('./log')('Claims', false);
+
+/*
+Axis-aligned regions of the world that only their owner, the builders they grant,
+and admins can modify. low and high are inclusive voxel coordinates.
+
+{
+    id: '',
+    owner: 'username',
+    low: [x, y, z],
+    high: [x, y, z],
+    builders: ['username', ...]
+}
+*/
+var Claims = function(store, config) {
+    var self = this;
+    this.store = store;
+    this.claims = {};
+    this.admins = {};
+    this.maxClaimSize = config.maxClaimSize || 128;
+    this.maxClaimsPerPlayer = config.maxClaimsPerPlayer || 5;
+
+    var admins = config.admins || [];
+    for (var i = 0; i < admins.length; i++) {
+        this.admins[ admins[i] ] = true;
+    }
+
+    // Until the claims have loaded we don't know where building is allowed, see enforceClaims in server.js
+    this.loaded = false;
+
+    store.load(function(error, claims) {
+        // Carrying on without them would let anyone build anywhere, and the next claim would overwrite them
+        if (error) {
+            throw new Error('Failed to load claims: ' + error);
+        }
+        for (var i = 0; i < claims.length; i++) {
+            self.claims[ claims[i].id ] = claims[i];
+        }
+        self.loaded = true;
+        log('loaded', claims.length);
+    });
+};
+module.exports = Claims;
+
+
+Claims.prototype.list = function() {
+    var self = this;
+    return Object.keys(this.claims).map(function(id) {
+        return self.claims[id];
+    });
+};
+
+
+// Changing claims before they've loaded would overwrite the saved ones
+var notLoaded = 'Land claims are still loading, try again in a moment';
+Claims.notLoaded = notLoaded;
+
+
+Claims.prototype.isAdmin = function(username) {
+    return !!username && (username in this.admins);
+};
+
+
+// Calls back with an error message, or the new claim
+Claims.prototype.create = function(username, low, high, callback) {
+    var claim;
+    var owned = 0;
+    if (!this.loaded) {
+        callback(notLoaded);
+        return;
+    }
+    if (!username) {
+        callback('You need to log in to claim land');
+        return;
+    }
+    if (!isPoint(low) || !isPoint(high)) {
+        callback('Claims need two corners');
+        return;
+    }
+    claim = {
+        id: uuid(),
+        owner: username,
+        low: [ Math.min(low[0], high[0]), Math.min(low[1], high[1]), Math.min(low[2], high[2]) ],
+        high: [ Math.max(low[0], high[0]), Math.max(low[1], high[1]), Math.max(low[2], high[2]) ],
+        builders: []
+    };
+    if (!this.isAdmin(username)) {
+        for (var i = 0; i < 3; i++) {
+            if (claim.high[i] - claim.low[i] + 1 > this.maxClaimSize) {
+                callback('Claims can be at most ' + this.maxClaimSize + ' voxels along each side');
+                return;
+            }
+        }
+    }
+    for (var id in this.claims) {
+        var other = this.claims[id];
+        if (other.owner == username) {
+            owned++;
+        }
+        if (overlaps(claim.low, claim.high, other.low, other.high) && !this.canManage(username, other)) {
+            callback('That region overlaps land claimed by ' + other.owner);
+            return;
+        }
+    }
+    if (owned >= this.maxClaimsPerPlayer && !this.isAdmin(username)) {
+        callback('You already have ' + owned + ' claims');
+        return;
+    }
+    this.claims[claim.id] = claim;
+    this.store.save(claim);
+    callback(null, claim);
+};
+
+
+Claims.prototype.remove = function(username, id, callback) {
+    var claim = this.claims[id];
+    if (!this.loaded) {
+        callback(notLoaded);
+        return;
+    }
+    if (!claim) {
+        callback('No claim with id ' + id);
+        return;
+    }
+    if (!this.canManage(username, claim)) {
+        callback('Only ' + claim.owner + ' can remove that claim');
+        return;
+    }
+    delete this.claims[id];
+    this.store.remove(id);
+    callback(null, claim);
+};
+
+
+// Allow (or with allowed=false, disallow) another player to build in a claim
+Claims.prototype.setBuilder = function(username, id, builder, allowed, callback) {
+    var claim = this.claims[id];
+    var index;
+    if (!this.loaded) {
+        callback(notLoaded);
+        return;
+    }
+    if (!claim) {
+        callback('No claim with id ' + id);
+        return;
+    }
+    if (!this.canManage(username, claim)) {
+        callback('Only ' + claim.owner + ' can change who builds there');
+        return;
+    }
+    if (typeof builder !== 'string' || builder.length == 0) {
+        callback('Which player?');
+        return;
+    }
+    index = claim.builders.indexOf(builder);
+    if (allowed && index == -1) {
+        claim.builders.push(builder);
+    } else if (!allowed && index > -1) {
+        claim.builders.splice(index, 1);
+    }
+    this.store.save(claim);
+    callback(null, claim);
+};
+
+
+Claims.prototype.canManage = function(username, claim) {
+    return claim.owner == username || this.isAdmin(username);
+};
+
+
+Claims.prototype.canBuildIn = function(username, claim) {
+    return this.canManage(username, claim) || (!!username && claim.builders.indexOf(username) > -1);
+};
+
+
+// Returns the claims the player can't build in that overlap the chunk at position
+Claims.prototype.forbiddenInChunk = function(username, position, chunkSize) {
+    var out = [];
+    var high = [
+        position[0] + chunkSize - 1,
+        position[1] + chunkSize - 1,
+        position[2] + chunkSize - 1
+    ];
+    for (var id in this.claims) {
+        var claim = this.claims[id];
+        if (overlaps(position, high, claim.low, claim.high) && !this.canBuildIn(username, claim)) {
+            out.push(claim);
+        }
+    }
+    return out;
+};
+
+
+Claims.prototype.contains = function(claim, x, y, z) {
+    return (
+        claim.low[0] <= x && x <= claim.high[0] &&
+        claim.low[1] <= y && y <= claim.high[1] &&
+        claim.low[2] <= z && z <= claim.high[2]
+    );
+};
+
+
+function isPoint(point) {
+    return Array.isArray(point) && point.length == 3 && point.every(Number.isInteger);
+}
+
+function overlaps(lowA, highA, lowB, highB) {
+    for (var i = 0; i < 3; i++) {
+        if (highA[i] < lowB[i] || highB[i] < lowA[i]) {
+            return false;
+        }
+    }
+    return true;
+}
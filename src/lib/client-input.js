@@ -22,6 +22,20 @@ var codeMap = {
     70: 'fly'
 };
 
+// Handled on keyup so holding a key down doesn't paste over and over
+var clipboardKeys = {
+    // C
+    67: 'clipboard',
+    // X
+    88: 'cut',
+    // V
+    86: 'paste',
+    // T
+    84: 'rotate',
+    // G
+    71: 'mirror'
+};
+
 
 var states = {
     start: {
@@ -115,6 +129,16 @@ var states = {
                 this.transition('map');
                 return;
             }
+            // Ctrl+Z undo, Ctrl+Y or Ctrl+Shift+Z redo
+            if (event.ctrlKey && (event.which == 90 || event.which == 89)) {
+                if (event.which == 89 || event.shiftKey) {
+                    this.emitter.emit('redo');
+                } else {
+                    this.emitter.emit('undo');
+                }
+                event.preventDefault();
+                return false;
+            }
             // Escape
             if (code == 27) {
                 console.log('escape');
@@ -155,6 +179,11 @@ var states = {
                 this.emitter.emit('shift');
                 return;
             }
+            // Ctrl is held for undo and redo, don't treat these as clipboard keys
+            if (!event.ctrlKey && (code in clipboardKeys)) {
+                this.emitter.emit(clipboardKeys[code]);
+                return;
+            }
             if (code in codeMap) {
                 key = codeMap[code];
                 if (key in controlStates) {
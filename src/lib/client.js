@@ -8,6 +8,7 @@ function Client(settings) {
     this.server = settings.server;
     // These will be set later
     this.id = null;
+    this.username = null;
     this.player = null;
     this.avatar = 'player';
     this.players = null;
@@ -23,7 +24,7 @@ function Client(settings) {
     this.bindEvents();
     this.otherSetup();
 
-    this.worker.postMessage(['connect'])
+    this.worker.postMessage(['connect', localStorage.getItem('token')])
 };
 
 // Listen for certain events/data from the server
@@ -46,6 +47,19 @@ Client.prototype.bindEvents = function() {
                 break;
             case 'error':
                 log('Client.bindEvents.error: ' + message[1]);
+                // Stored token is no good, need to log in with a password again
+                if (message[2] == 'login') {
+                    localStorage.removeItem('token');
+                    self.username = null;
+                }
+                self.emitter.emit('error', message[1], message[2]);
+                break;
+            case 'login':
+                self.username = message[1];
+                localStorage.setItem('name', message[1]);
+                localStorage.setItem('token', message[2]);
+                log('Client.bindEvents: logged in as ' + message[1]);
+                self.emitter.emit('login', message[1]);
                 break;
             case 'settings':
                 var settings = message[1];
@@ -92,22 +106,24 @@ Client.prototype.bindEvents = function() {
 
             case 'chat':
                 var message = message[1];
-                var messages = document.getElementById('messages');
-                var el = document.createElement('dt');
-                el.innerText = message.user;
-                messages.appendChild(el);
-                el = document.createElement('dd');
-                el.innerText = message.text;
-                messages.appendChild(el);
-                messages.scrollTop = messages.scrollHeight;
+                self.showMessage(message.user, message.text);
                 break
 
-            // Got batch of player position updates
+            case 'claims':
+                var claims = message[1];
+                self.emitter.emit('claims', claims);
+                break;
+
+            // Got batch of player position updates. Only includes players that moved
             case 'players':
                 var players = message[1];
                 delete players[self.id];
                 self.emitter.emit('players', players);
                 break;
+            // Players that left, or are too far away to see
+            case 'playersRemoved':
+                self.emitter.emit('playersRemoved', message[1]);
+                break;
             default:
                 console.log('Client received unexpected message type from WebWorker: ' + message[0]);
         }
@@ -115,6 +131,35 @@ Client.prototype.bindEvents = function() {
 
 };
 
+Client.prototype.login = function(username, password) {
+    this.worker.postMessage(['login', username, password]);
+};
+
+// Ask the server to roll back our last batch of voxel changes
+Client.prototype.undo = function() {
+    this.worker.postMessage(['history', 'undo']);
+};
+
+Client.prototype.redo = function() {
+    this.worker.postMessage(['history', 'redo']);
+};
+
+Client.prototype.claim = function(request) {
+    this.worker.postMessage(['claim', request]);
+};
+
+// Add a line to the chat window
+Client.prototype.showMessage = function(user, text) {
+    var messages = document.getElementById('messages');
+    var el = document.createElement('dt');
+    el.innerText = user;
+    messages.appendChild(el);
+    el = document.createElement('dd');
+    el.innerText = text;
+    messages.appendChild(el);
+    messages.scrollTop = messages.scrollHeight;
+};
+
 Client.prototype.regionChange = function() {
     this.worker.postMessage(['regionChange', this.player.getPosition(), this.camera.follow.getRotationQuat(), this.settings.drawDistance, this.settings.removeDistance]);
 };
@@ -0,0 +1,187 @@
+var VoxelValue = require('./voxel-value');
+
+/*
+Holds a copy of a box of voxels so it can be rotated, mirrored and pasted elsewhere.
+Voxels are stored x first, then y, then z, just like chunks. Voxels players can't place, like hidden ones
+from generated terrain, are stored as null and left alone when pasting. Otherwise the server would reject the
+whole paste, see chunk-changes-validator.js.
+
+config is the client config, for maxVoxelsPerEdit, voxels and voxelRemap
+*/
+var Clipboard = function(config) {
+    this.maxVolume = config.maxVoxelsPerEdit || 65536;
+    this.voxelTypes = config.voxels;
+    this.voxelRemap = config.voxelRemap || {};
+    // How many voxels the last copy, set or load left out because they can't be placed
+    this.skipped = 0;
+    // Width, height, depth
+    this.size = [0, 0, 0];
+    this.voxels = null;
+    // Corners of the region we copied from, so it can be cut
+    this.sourceLow = null;
+    this.sourceHigh = null;
+};
+module.exports = Clipboard;
+
+
+Clipboard.prototype.isEmpty = function() {
+    return !this.voxels;
+};
+
+
+// The value to paste for a voxel, remapped like the server does. null if players can't place it
+Clipboard.prototype.placeable = function(value) {
+    var id = VoxelValue.id(value);
+    if (id in this.voxelRemap) {
+        id = this.voxelRemap[id];
+    }
+    if (id == 0) {
+        return 0;
+    }
+    if (!(id in this.voxelTypes) || this.voxelTypes[id].hidden) {
+        return null;
+    }
+    return VoxelValue.make(id, VoxelValue.state(value));
+};
+
+
+// Replaces voxels with what placeable returns, counting the ones left out in skipped
+Clipboard.prototype.filter = function(voxels) {
+    var self = this;
+    this.skipped = 0;
+    return voxels.map(function(value) {
+        if (value === null) {
+            return null;
+        }
+        value = self.placeable(value);
+        if (value === null) {
+            self.skipped++;
+        }
+        return value;
+    });
+};
+
+
+// Copy the voxels between low and high (inclusive). Returns an error message on failure
+Clipboard.prototype.copy = function(game, low, high) {
+    var size = [
+        high[0] - low[0] + 1,
+        high[1] - low[1] + 1,
+        high[2] - low[2] + 1
+    ];
+    var volume = size[0] * size[1] * size[2];
+    var voxels;
+    var index = 0;
+    if (volume > this.maxVolume) {
+        return 'Selection is too big to copy, ' + volume + ' voxels. Limit is ' + this.maxVolume;
+    }
+    voxels = new Array(volume);
+    for (var z = 0; z < size[2]; z++) {
+        for (var y = 0; y < size[1]; y++) {
+            for (var x = 0; x < size[0]; x++, index++) {
+                var value = game.getVoxel(low[0] + x, low[1] + y, low[2] + z);
+                if (value === null) {
+                    return 'Part of the selection is too far away to copy';
+                }
+                voxels[index] = value;
+            }
+        }
+    }
+    this.size = size;
+    this.voxels = this.filter(voxels);
+    this.sourceLow = low.slice();
+    this.sourceHigh = high.slice();
+    return false;
+};
+
+
+// Replace the contents with a structure from elsewhere, like an imported schematic.
+// Returns an error message on failure
+Clipboard.prototype.set = function(structure) {
+    var volume = structure.size[0] * structure.size[1] * structure.size[2];
+    if (volume > this.maxVolume) {
+        return 'Structure is too big for the clipboard, ' + volume + ' voxels. Limit is ' + this.maxVolume;
+    }
+    this.size = structure.size.slice();
+    this.voxels = this.filter(structure.voxels);
+    this.sourceLow = this.sourceHigh = null;
+    return false;
+};
+
+
+// callback gets the offset from the paste position and the voxel value, null for ones to leave alone
+Clipboard.prototype.each = function(callback) {
+    var size = this.size;
+    var index = 0;
+    for (var z = 0; z < size[2]; z++) {
+        for (var y = 0; y < size[1]; y++) {
+            for (var x = 0; x < size[0]; x++, index++) {
+                callback(x, y, z, this.voxels[index]);
+            }
+        }
+    }
+};
+
+
+// Rotate 90 degrees around the Y axis, turning the blocks that face somewhere with it
+Clipboard.prototype.rotate = function() {
+    var size = this.size;
+    var rotated = [size[2], size[1], size[0]];
+    var voxels = new Array(this.voxels.length);
+    this.each(function(x, y, z, value) {
+        var newX = size[2] - 1 - z;
+        var newZ = x;
+        if (value !== null) {
+            value = VoxelValue.rotate(value);
+        }
+        voxels[ newX + (y * rotated[0]) + (newZ * rotated[0] * rotated[1]) ] = value;
+    });
+    this.size = rotated;
+    this.voxels = voxels;
+};
+
+
+// Flip along the X axis, blocks that face somewhere included
+Clipboard.prototype.mirror = function() {
+    var size = this.size;
+    var voxels = new Array(this.voxels.length);
+    this.each(function(x, y, z, value) {
+        if (value !== null) {
+            value = VoxelValue.mirror(value);
+        }
+        voxels[ (size[0] - 1 - x) + (y * size[0]) + (z * size[0] * size[1]) ] = value;
+    });
+    this.voxels = voxels;
+};
+
+
+Clipboard.prototype.save = function(storage) {
+    try {
+        storage.setItem('clipboard', JSON.stringify({
+            size: this.size,
+            voxels: this.voxels
+        }));
+    } catch (e) {
+        // Probably over the storage quota. Clipboard still works until the page is reloaded
+        console.log('Failed to save clipboard', e);
+    }
+};
+
+
+Clipboard.prototype.load = function(storage) {
+    var saved;
+    try {
+        saved = JSON.parse(storage.getItem('clipboard'));
+    } catch (e) {
+        return;
+    }
+    if (!saved || !Array.isArray(saved.size) || !Array.isArray(saved.voxels)) {
+        return;
+    }
+    if (saved.size[0] * saved.size[1] * saved.size[2] != saved.voxels.length) {
+        return;
+    }
+    this.size = saved.size;
+    // Saved before we left out voxels that can't be placed, or before the config changed
+    this.voxels = this.filter(saved.voxels);
+};
@@ -118,6 +118,35 @@ Coordinates.prototype.coordinatesToChunkAndVoxelIndex = function(x, y, z, touchi
     return [chunkId, index];
 };
 
+// Fill touching with the IDs of neighboring chunks that share a face with the voxel at index
+Coordinates.prototype.voxelIndexTouching = function(chunkPosition, index, touching) {
+    var chunkSize = this.chunkSize;
+    var last = chunkSize - 1;
+    var cx = chunkPosition[0];
+    var cy = chunkPosition[1];
+    var cz = chunkPosition[2];
+    var vx = index % chunkSize;
+    var vy = Math.floor(index / chunkSize) % chunkSize;
+    var vz = Math.floor(index / (chunkSize * chunkSize));
+
+    if (vx == 0) {
+        touching[ (cx - chunkSize) + '|' + cy + '|' + cz ] = true;
+    } else if (vx == last) {
+        touching[ (cx + chunkSize) + '|' + cy + '|' + cz ] = true;
+    }
+    if (vy == 0) {
+        touching[ cx + '|' + (cy - chunkSize) + '|' + cz ] = true;
+    } else if (vy == last) {
+        touching[ cx + '|' + (cy + chunkSize) + '|' + cz ] = true;
+    }
+    if (vz == 0) {
+        touching[ cx + '|' + cy + '|' + (cz - chunkSize) ] = true;
+    } else if (vz == last) {
+        touching[ cx + '|' + cy + '|' + (cz + chunkSize) ] = true;
+    }
+    return touching;
+};
+
 Coordinates.prototype.positionToVoxelIndex = function(pos) {
     return this.coordinatesToVoxelIndex(pos[0], pos[1], pos[2])
 };
@@ -0,0 +1,50 @@
+/*
+Undo and redo stacks of voxel edit batches for a single player. Each entry holds the changes
+that were applied and the voxel values they replaced, both in chunkVoxelIndexValue form:
+
+{
+    changes: {chunkId: [index, value, ...]},
+    previous: {chunkId: [index, value, ...]}
+}
+*/
+var EditHistory = function(maxSize) {
+    this.maxSize = maxSize || 20;
+    this.undoStack = [];
+    this.redoStack = [];
+};
+module.exports = EditHistory;
+
+
+// A new edit means anything we undid can't be redone anymore
+EditHistory.prototype.record = function(changes, previous) {
+    this.undoStack.push({
+        changes: changes,
+        previous: previous
+    });
+    if (this.undoStack.length > this.maxSize) {
+        this.undoStack.shift();
+    }
+    this.redoStack = [];
+};
+
+
+// Returns the entry to roll back, or null if there's nothing to undo
+EditHistory.prototype.undo = function() {
+    var entry = this.undoStack.pop();
+    if (!entry) {
+        return null;
+    }
+    this.redoStack.push(entry);
+    return entry;
+};
+
+
+// Returns the entry to re-apply, or null if there's nothing to redo
+EditHistory.prototype.redo = function() {
+    var entry = this.redoStack.pop();
+    if (!entry) {
+        return null;
+    }
+    this.undoStack.push(entry);
+    return entry;
+};
@@ -0,0 +1,286 @@
+var fs = require('fs');
+var concur = require('./max-concurrent')(50);
+
+/*
+Incremental snapshots of a FileChunkStore's chunkFolder, like snapshot.js does with the history table.
+
+Each snapshot is a folder in historyFolder named after the time it was taken, in milliseconds, holding copies
+of the chunk files written since the previous snapshot. The first snapshot copies everything. A snapshot is
+built in a .tmp folder and renamed into place once complete, so a crash never leaves half of one behind.
+
+Chunk files are only ever replaced by renaming a finished file over them, so copying one gets either the
+old version or the new one.
+*/
+var FileSnapshots = function(store, historyFolder) {
+    this.store = store;
+    this.historyFolder = historyFolder || store.chunkFolder + 'history/';
+};
+module.exports = FileSnapshots;
+
+
+// Calls back with the times of completed snapshots, oldest first
+FileSnapshots.prototype.list = function(callback) {
+    fs.readdir(this.historyFolder, function(error, names) {
+        if (error) {
+            callback(error.code == 'ENOENT' ? null : error, []);
+            return;
+        }
+        callback(null, names.filter(function(name) {
+            return /^\d+$/.test(name);
+        }).map(Number).sort(function(a, b) {
+            return a - b;
+        }));
+    });
+};
+
+
+// Copies chunk files changed since the last snapshot into a new one.
+// Calls back with (error, time of the new snapshot, number of chunks copied). No snapshot is made if nothing changed
+FileSnapshots.prototype.snapshot = function(callback) {
+    var self = this;
+    var store = this.store;
+    // Anything written while we're copying gets picked up next time
+    var time = Date.now();
+    var folder = this.historyFolder + time + '/';
+    var temporary = this.historyFolder + time + '.tmp/';
+    this.list(function(error, times) {
+        var since = times.length > 0 ? times[times.length - 1] : 0;
+        if (error) {
+            callback(error);
+            return;
+        }
+        self.changedSince(since, null, function(error, chunkIDs) {
+            var pending = 1;
+            var failed = false;
+            var finished = function(error) {
+                if (failed) {
+                    return;
+                }
+                if (error) {
+                    failed = true;
+                    callback(error);
+                    return;
+                }
+                pending--;
+                if (pending > 0) {
+                    return;
+                }
+                fs.rename(temporary, folder, function(error) {
+                    callback(error, time, chunkIDs.length);
+                });
+            };
+            if (error) {
+                callback(error);
+                return;
+            }
+            if (chunkIDs.length == 0) {
+                callback(null, null, 0);
+                return;
+            }
+            fs.mkdir(temporary, {recursive: true}, function(error) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                chunkIDs.forEach(function(chunkID) {
+                    var filename = store.filename(chunkID);
+                    pending++;
+                    concur(function(done) {
+                        fs.copyFile(store.chunkFolder + filename, temporary + filename, function(error) {
+                            done();
+                            // Deleted since we listed it
+                            finished(error && error.code != 'ENOENT' ? error : null);
+                        });
+                    });
+                });
+                finished();
+            });
+        });
+    });
+};
+
+
+// Calls back with the IDs of chunks whose files were written after time, within box if given.
+// box is {low: [x, y, z], high: [x, y, z]}, chunk IDs inclusive
+FileSnapshots.prototype.changedSince = function(time, box, callback) {
+    var store = this.store;
+    store.chunkIDs(function(error, chunkIDs) {
+        var changed = [];
+        var pending = 1;
+        var failed = false;
+        var finished = function(error) {
+            if (failed) {
+                return;
+            }
+            if (error) {
+                failed = true;
+                callback(error);
+                return;
+            }
+            pending--;
+            if (pending == 0) {
+                callback(null, changed);
+            }
+        };
+        if (error) {
+            callback(error);
+            return;
+        }
+        chunkIDs.forEach(function(chunkID) {
+            if (box && !inBox(chunkID, box)) {
+                return;
+            }
+            pending++;
+            concur(function(done) {
+                fs.stat(store.chunkFolder + store.filename(chunkID), function(error, stats) {
+                    done();
+                    if (error) {
+                        finished(error.code == 'ENOENT' ? null : error);
+                        return;
+                    }
+                    if (stats.mtimeMs > time) {
+                        changed.push(chunkID);
+                    }
+                    finished();
+                });
+            });
+        });
+        finished();
+    });
+};
+
+
+// Works out what restoring to time would do. Calls back with (error, restores, missing) where restores are
+// {chunkID, time, voxels} for chunks that differ from their latest snapshot at or before time,
+// and missing lists chunks changed since then that have no snapshot from before it
+FileSnapshots.prototype.changes = function(time, box, callback) {
+    var self = this;
+    var store = this.store;
+    this.list(function(error, times) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        times = times.filter(function(snapshot) {
+            return snapshot <= time;
+        }).reverse();
+        self.changedSince(time, box, function(error, chunkIDs) {
+            var restores = [];
+            var missing = [];
+            var next;
+            if (error) {
+                callback(error);
+                return;
+            }
+            // One chunk at a time
+            next = function(i) {
+                if (i == chunkIDs.length) {
+                    callback(null, restores, missing);
+                    return;
+                }
+                var chunkID = chunkIDs[i];
+                self.find(chunkID, times, function(error, snapshot, voxels) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    if (!snapshot) {
+                        missing.push(chunkID);
+                        next(i + 1);
+                        return;
+                    }
+                    fs.readFile(store.chunkFolder + store.filename(chunkID), function(error, data) {
+                        var current;
+                        if (error) {
+                            callback(error);
+                            return;
+                        }
+                        current = store.decode(data);
+                        if (!current || !sameVoxels(current, voxels)) {
+                            restores.push({
+                                chunkID: chunkID,
+                                time: snapshot,
+                                voxels: voxels
+                            });
+                        }
+                        next(i + 1);
+                    });
+                });
+            };
+            next(0);
+        });
+    });
+};
+
+
+// Calls back with (error, snapshot time, voxels) from the first of times holding chunkID, or no snapshot if none do
+FileSnapshots.prototype.find = function(chunkID, times, callback) {
+    var self = this;
+    var filename = this.store.filename(chunkID);
+    var next = function(i) {
+        if (i == times.length) {
+            callback(null, null);
+            return;
+        }
+        fs.readFile(self.historyFolder + times[i] + '/' + filename, function(error, data) {
+            var voxels;
+            if (error) {
+                if (error.code != 'ENOENT') {
+                    callback(error);
+                    return;
+                }
+                next(i + 1);
+                return;
+            }
+            voxels = self.store.decode(data);
+            if (!voxels) {
+                console.log('Snapshot ' + times[i] + ' of ' + chunkID + ' is corrupt, trying an older one');
+                next(i + 1);
+                return;
+            }
+            callback(null, times[i], voxels);
+        });
+    };
+    next(0);
+};
+
+
+// Writes restores from changes() straight into chunkFolder. Only do this while the server is stopped
+FileSnapshots.prototype.write = function(restores, callback) {
+    var store = this.store;
+    var next = function(i) {
+        if (i == restores.length) {
+            store.syncFolder(callback);
+            return;
+        }
+        store.write(store.filename(restores[i].chunkID), restores[i].voxels, function(error) {
+            if (error) {
+                callback('Failed to write ' + restores[i].chunkID + ': ' + error);
+                return;
+            }
+            next(i + 1);
+        });
+    };
+    next(0);
+};
+
+
+var inBox = function(chunkID, box) {
+    var position = chunkID.split('|').map(Number);
+    for (var i = 0; i < 3; i++) {
+        if (position[i] < box.low[i] || position[i] > box.high[i]) {
+            return false;
+        }
+    }
+    return true;
+};
+
+
+var sameVoxels = function(a, b) {
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] != b[i]) {
+            return false;
+        }
+    }
+    return true;
+};
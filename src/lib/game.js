@@ -5,6 +5,7 @@ var glm = require('gl-matrix'),
     quat = glm.quat;
 
 var pool = require('../lib/object-pool');
+var VoxelValue = require('./voxel-value');
 var log = require('./log')('lib/game', false);
 
 // miscellaneous state
@@ -54,7 +55,7 @@ Game.prototype.getBlock = function(x, y, z) {
     var chunkID = this.coordinates.coordinatesToChunkID(x, y, z);
     if (chunkID in this.currentVoxels) {
         var voxelIndex = this.coordinates.coordinatesToVoxelIndex(x, y, z);
-        var voxelValue = this.currentVoxels[chunkID].voxels[voxelIndex];
+        var voxelValue = VoxelValue.id(this.currentVoxels[chunkID].voxels[voxelIndex]);
         // Uncomment the following when I'm ready to make water walkable
         return (voxelValue > 0); // && voxelValue != 6);
     } else {
@@ -64,8 +65,18 @@ Game.prototype.getBlock = function(x, y, z) {
     return 1;
 };
 
+// Returns the voxel value, or null if we don't have that chunk's voxels
+Game.prototype.getVoxel = function(x, y, z) {
+    var chunkID = this.coordinates.coordinatesToChunkID(x, y, z);
+    if (chunkID in this.currentVoxels) {
+        return this.currentVoxels[chunkID].voxels[ this.coordinates.coordinatesToVoxelIndex(x, y, z) ];
+    }
+    return null;
+};
+
 /*
-Modifies the chunkVoxelIndexValue data structure
+Modifies the chunkVoxelIndexValue data structure.
+value is the whole 16 bit voxel value, block id and state (see voxel-value.js)
 */
 Game.prototype.setBlock = function(x, y, z, value, chunkVoxelIndexValue, touching) {
     var parts = this.coordinates.coordinatesToChunkAndVoxelIndex(x, y, z, touching);
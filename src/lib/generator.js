@@ -1,4 +1,5 @@
-var zlib = require('zlib');
+var VoxelValue = require('./voxel-value');
+var SeededRandom = require('./seeded-random');
 
 //var stats = require('voxeling-stats')
 var debug = false;
@@ -11,7 +12,9 @@ var generateVoxel = function(x, y, z, chunkSize) {
     return 0;
 }
 
-var Generator = function(chunkSize) {
+// seed is config.seed. Generators take their randomness from it (see randomInt) so a chunk always
+// generates the same way, even if it's evicted and regenerated before being saved
+var Generator = function(chunkSize, seed) {
     if (!chunkSize) {
         throw new Exception('voxel-generator: chunkSize is required');
         return;
@@ -19,7 +22,10 @@ var Generator = function(chunkSize) {
 
     this.chunkSize = chunkSize;
     this.chunkArraySize = this.chunkSize * this.chunkSize * this.chunkSize;
+    this.seed = SeededRandom.seed(seed);
     this.generateVoxel = generateVoxel;
+    // Run over each chunk after it's filled, in order. See addStage
+    this.stages = [];
 }
 module.exports = Generator
 
@@ -31,11 +37,35 @@ Generator.prototype.get = function(chunkID) {
     var started = Date.now();
     var chunk = this.makeChunkStruct(chunkID);
     this.fillChunkVoxels(chunk, this.generateVoxel, this.chunkSize);
-    chunk.compressedVoxels = zlib.gzipSync(chunk.voxels);
+    for (var i = 0; i < this.stages.length; i++) {
+        this.stages[i].apply(chunk, this.chunkSize);
+    }
     return chunk;
 };
 
 
+// Adds a stage, like caves.js, that reworks chunks after the terrain is filled in.
+// Stages have apply(chunk, chunkSize), and should only depend on the seed and world coordinates
+Generator.prototype.addStage = function(stage) {
+    this.stages.push(stage);
+};
+
+
+// Integer in [min, max) that's always the same for this voxel and seed.
+// Pass a salt to get another independent number for the same voxel
+Generator.prototype.randomInt = function(x, y, z, min, max, salt) {
+    return Math.floor(SeededRandom.random(this.seed, x, y, z, salt) * (max - min)) + min;
+};
+
+
+// Returns {height, voxel} for the top solid voxel of the column at x, z, as the terrain generates it.
+// Stages that place things on the ground (see decorations.js) use this, so they don't need neighboring
+// chunks. Generators that can't tell return null, and get no decorations
+Generator.prototype.surface = function(x, z) {
+    return null;
+};
+
+
 // TODO: this needs to be accessible outside an instance, right?
 Generator.prototype.fillChunkVoxels = function(chunk, fn, chunkSize) {
     var lo = chunk.position;
@@ -61,8 +91,7 @@ Generator.prototype.makeChunkStruct = function(chunkID) {
     return {
         position: position,
         chunkID: chunkID,
-        voxels: new Uint8Array(this.chunkArraySize),
-        compressedVoxels: null
+        voxels: VoxelValue.chunkArray(this.chunkArraySize)
     };
 };
 
@@ -0,0 +1,197 @@
+var SeededRandom = require('../seeded-random');
+var SeededNoise = require('../seeded-noise');
+var VoxelNames = require('../voxel-names');
+
+/*
+A generator stage (see Generator.addStage) that works on top of any terrain:
+
+    ores: clustered veins of each ore, more of them the deeper you go
+    caves: winding tunnels and, deeper down, large caverns, carved with 3D noise. Where they reach the
+        surface they leave cave mouths and overhangs
+    lava: below lavaLevel, cave floors are covered by pools of lava a couple of voxels deep
+
+Only voxels that are already solid get replaced, and never water or lava, so it doesn't matter what the
+terrain generator put where.
+
+Veins are placed per cell of a grid (cellSize voxels across). Each cell rolls, from the seed and its
+coordinates, whether it has a vein and where, and every chunk a vein overlaps draws its part of it.
+So veins cross chunk borders without seams, like the noise-carved caves.
+*/
+var defaults = {
+    // Caves don't go higher than this
+    top: 24,
+    // Bigger is wider and more tunnels. Around 0.002 to 0.01 works
+    tunnels: 0.005,
+    // Noise above this is carved out as a cavern, at depth. Lower is more and bigger caverns
+    caverns: 0.7,
+    lavaLevel: -48,
+    lavaDepth: 2,
+    lava: 'lava',
+    water: 'water',
+    cellSize: 12,
+    // chance: of a vein in each cell, reached at peak depth and below. Falls to 0 going up to top
+    // size: vein radius range
+    ores: [
+        {voxel: 'coal', chance: 0.5, size: [1.5, 3], top: 0, peak: -32},
+        {voxel: 'iron', chance: 0.35, size: [1, 2.5], top: -24, peak: -80},
+        {voxel: 'clay', chance: 0.25, size: [2, 3.5], top: 4, peak: -8}
+    ]
+};
+
+
+// seed is the generator's seed. options are merged over defaults, plus voxels: config.voxels
+var Caves = function(seed, options) {
+    var voxel = VoxelNames((options && options.voxels) || {});
+    options = Object.assign({}, defaults, options);
+    this.seed = seed;
+    this.top = options.top;
+    this.tunnels = options.tunnels;
+    this.caverns = options.caverns;
+    this.lavaLevel = options.lavaLevel;
+    this.lavaDepth = options.lavaDepth;
+    this.lava = voxel(options.lava, 'Caves lava');
+    this.water = voxel(options.water, 'Caves water');
+    this.cellSize = options.cellSize;
+    this.ores = options.ores.map(function(ore) {
+        return {
+            voxel: voxel(ore.voxel, 'Caves ore'),
+            chance: ore.chance,
+            size: ore.size,
+            top: ore.top,
+            peak: ore.peak
+        };
+    });
+    this.tunnelA = new SeededNoise(seed, 10);
+    this.tunnelB = new SeededNoise(seed, 11);
+    this.cavern = new SeededNoise(seed, 12);
+};
+module.exports = Caves;
+Caves.defaults = defaults;
+
+
+Caves.prototype.apply = function(chunk, chunkSize) {
+    for (var i = 0; i < this.ores.length; i++) {
+        this.placeOre(chunk, chunkSize, this.ores[i], i);
+    }
+    this.carve(chunk, chunkSize);
+};
+
+
+// Whether a voxel is solid ground we're allowed to replace
+Caves.prototype.replaceable = function(value) {
+    return value != 0 && value != this.water && value != this.lava;
+};
+
+
+Caves.prototype.isCave = function(x, y, z) {
+    // 0 at the top of the caves, 1 from 64 below it
+    var depth = Math.min(1, (this.top - y) / 64);
+    var a = this.tunnelA.simplex3(x / 48, y / 32, z / 48);
+    var b = this.tunnelB.simplex3(x / 48, y / 32, z / 48);
+    // Tunnels are where two noise fields both cross zero, which makes long winding tubes.
+    // Narrow them near the top, so only some break through to the surface
+    if (a * a + b * b < this.tunnels * Math.min(1, 0.25 + depth * 4)) {
+        return true;
+    }
+    return this.cavern.simplex3(x / 80, y / 40, z / 80) > this.caverns + (1 - depth) * 0.3;
+};
+
+
+// For a voxel in a cave, whether it's within lavaDepth of the floor, and deep enough for lava
+Caves.prototype.isPool = function(x, y, z) {
+    if (y > this.lavaLevel) {
+        return false;
+    }
+    for (var i = 1; i <= this.lavaDepth; i++) {
+        if (!this.isCave(x, y - i, z)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+
+Caves.prototype.carve = function(chunk, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    var index = 0;
+    if (position[1] > this.top) {
+        return;
+    }
+    for (var z = 0; z < chunkSize; z++) {
+        for (var y = 0; y < chunkSize; y++) {
+            for (var x = 0; x < chunkSize; x++, index++) {
+                var worldY = position[1] + y;
+                if (worldY > this.top || !this.replaceable(voxels[index])) {
+                    continue;
+                }
+                if (this.isCave(position[0] + x, worldY, position[2] + z)) {
+                    voxels[index] = (this.isPool(position[0] + x, worldY, position[2] + z) ? this.lava : 0);
+                }
+            }
+        }
+    }
+};
+
+
+Caves.prototype.placeOre = function(chunk, chunkSize, ore, salt) {
+    var position = chunk.position;
+    var cellSize = this.cellSize;
+    var margin = Math.ceil(ore.size[1]);
+    var low = [];
+    var high = [];
+    for (var i = 0; i < 3; i++) {
+        low[i] = Math.floor((position[i] - margin) / cellSize);
+        high[i] = Math.floor((position[i] + chunkSize - 1 + margin) / cellSize);
+    }
+    for (var cx = low[0]; cx <= high[0]; cx++) {
+        for (var cy = low[1]; cy <= high[1]; cy++) {
+            for (var cz = low[2]; cz <= high[2]; cz++) {
+                var random = SeededRandom.sequence(this.seed, cx, cy, cz, 100 + salt);
+                var y = (cy + random()) * cellSize;
+                // 0 at top, 1 at peak and past it
+                var depth = Math.min(1, Math.max(0, (ore.top - y) / (ore.top - ore.peak)));
+                if (random() >= ore.chance * depth) {
+                    continue;
+                }
+                this.drawVein(
+                    chunk,
+                    chunkSize,
+                    ore,
+                    [(cx + random()) * cellSize, y, (cz + random()) * cellSize],
+                    ore.size[0] + random() * (ore.size[1] - ore.size[0])
+                );
+            }
+        }
+    }
+};
+
+
+// A lumpy ball of ore, clipped to the chunk
+Caves.prototype.drawVein = function(chunk, chunkSize, ore, center, radius) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    var low = [];
+    var high = [];
+    for (var i = 0; i < 3; i++) {
+        low[i] = Math.max(position[i], Math.floor(center[i] - radius));
+        high[i] = Math.min(position[i] + chunkSize - 1, Math.ceil(center[i] + radius));
+    }
+    for (var x = low[0]; x <= high[0]; x++) {
+        for (var y = low[1]; y <= high[1]; y++) {
+            for (var z = low[2]; z <= high[2]; z++) {
+                var dx = x - center[0];
+                var dy = y - center[1];
+                var dz = z - center[2];
+                var lumpiness = 0.5 + SeededRandom.random(this.seed, x, y, z, 200) * 0.7;
+                if (y > ore.top || dx * dx + dy * dy + dz * dz > radius * radius * lumpiness) {
+                    continue;
+                }
+                var index = (x - position[0]) + (y - position[1]) * chunkSize + (z - position[2]) * chunkSize * chunkSize;
+                if (this.replaceable(voxels[index])) {
+                    voxels[index] = ore.voxel;
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,248 @@
+var trees = require('voxel-trees');
+var SeededRandom = require('../seeded-random');
+var VoxelNames = require('../voxel-names');
+
+/*
+A generator stage (see Generator.addStage) that puts things on the ground:
+
+    tree: one of the voxel-trees shapes, the same ones the client plants with material 305
+    boulder: a lumpy ball of rock, half buried
+    ruin: the crumbling walls of a small stone building
+
+Like the ore veins in caves.js, features are placed per cell of a grid (cellSize voxels across, in x and z).
+Each cell rolls, from the seed and its coordinates, a spot and which feature goes there, if any. Every chunk
+a feature overlaps draws its part of it, so trees and ruins cross chunk borders without seams.
+
+The ground comes from the generator's surface(x, z), not from the chunk, since a tree's roots can be in a
+chunk that hasn't been generated. Features only fill empty voxels, so they never cut into terrain.
+*/
+var defaults = {
+    cellSize: 8,
+    bark: 'tree',
+    leaves: 'leaves',
+    // Tried in order for each cell, and the first that rolls under its chance is placed.
+    // on: surface voxels it can stand on. Leave it out to allow any
+    features: [
+        {type: 'tree', chance: 0.5, on: ['grass'], shapes: ['subspace', 'guybrush'], height: [6, 12]},
+        {type: 'tree', chance: 0.06, on: ['grass+dirt'], shapes: ['subspace', 'guybrush'], height: [5, 9]},
+        {type: 'tree', chance: 0.08, on: ['snow'], shapes: ['subspace'], height: [5, 8]},
+        {type: 'boulder', chance: 0.04, on: ['grass+dirt', 'grass', 'cobble', 'snow'], voxels: ['cobble', 'moss cobble'], size: [1.5, 3]},
+        {type: 'ruin', chance: 0.004, on: ['grass+dirt', 'grass', 'sandstone'], voxels: ['cobble', 'moss cobble', 'cobble2'], size: [5, 9], height: [1, 4]}
+    ]
+};
+
+
+// Integer in [range[0], range[1]]
+var between = function(random, range) {
+    return range[0] + Math.floor(random() * (range[1] - range[0] + 1));
+};
+
+
+/*
+Each type resolves its voxel names and works out how far it can reach from where it stands, so apply()
+knows which cells can touch a chunk:
+
+    reach: in x and z
+    below, above: in y, from the ground
+*/
+var types = {
+    tree: {
+        prepare: function(feature, options, voxel) {
+            var height = feature.height || [6, 12];
+            return {
+                shapes: feature.shapes || ['subspace'],
+                height: height,
+                bark: voxel(feature.bark || options.bark, 'Decorations bark'),
+                leaves: voxel(feature.leaves || options.leaves, 'Decorations leaves'),
+                reach: Math.ceil(height[1] / 3) + 1,
+                below: 0,
+                above: Math.ceil(height[1] * 4 / 3) + 1
+            };
+        },
+        draw: function(feature, ground, random, set) {
+            var height = between(random, feature.height);
+            trees({
+                position: {x: ground[0], y: ground[1] + 1, z: ground[2]},
+                treeType: feature.shapes[Math.floor(random() * feature.shapes.length)],
+                height: height,
+                // voxel-trees defaults this to a fraction, which leaves gaps in guybrush's ball of leaves
+                radius: Math.round(height / 3),
+                bark: feature.bark,
+                leaves: feature.leaves,
+                random: random,
+                setBlock: function(position, value) {
+                    set(position.x, position.y, position.z, value);
+                }
+            });
+        }
+    },
+
+    boulder: {
+        prepare: function(feature, options, voxel) {
+            var size = feature.size || [1.5, 3];
+            return {
+                voxels: stones(feature, voxel),
+                size: size,
+                reach: Math.ceil(size[1]),
+                below: Math.ceil(size[1]),
+                above: Math.ceil(size[1])
+            };
+        },
+        draw: function(feature, ground, random, set, seed) {
+            var radius = feature.size[0] + random() * (feature.size[1] - feature.size[0]);
+            var reach = Math.ceil(radius);
+            for (var x = -reach; x <= reach; x++) {
+                for (var y = -reach; y <= reach; y++) {
+                    for (var z = -reach; z <= reach; z++) {
+                        var worldX = ground[0] + x;
+                        var worldY = ground[1] + y;
+                        var worldZ = ground[2] + z;
+                        var lumpiness = 0.6 + SeededRandom.random(seed, worldX, worldY, worldZ, 310) * 0.6;
+                        if (x * x + y * y + z * z > radius * radius * lumpiness) {
+                            continue;
+                        }
+                        set(worldX, worldY, worldZ, pick(feature.voxels, seed, worldX, worldY, worldZ));
+                    }
+                }
+            }
+        }
+    },
+
+    ruin: {
+        prepare: function(feature, options, voxel) {
+            var size = feature.size || [5, 9];
+            var height = feature.height || [1, 4];
+            return {
+                voxels: stones(feature, voxel),
+                size: size,
+                height: height,
+                reach: Math.ceil(size[1] / 2),
+                // Walls reach down a little, for ground that slopes away from the middle
+                below: 2,
+                above: height[1]
+            };
+        },
+        draw: function(feature, ground, random, set, seed) {
+            var width = between(random, feature.size);
+            var depth = between(random, feature.size);
+            var lowX = ground[0] - Math.floor(width / 2);
+            var lowZ = ground[2] - Math.floor(depth / 2);
+            for (var x = lowX; x < lowX + width; x++) {
+                for (var z = lowZ; z < lowZ + depth; z++) {
+                    if (x != lowX && x != lowX + width - 1 && z != lowZ && z != lowZ + depth - 1) {
+                        continue;
+                    }
+                    // Some of the wall has fallen down to the ground
+                    var height = 0;
+                    if (SeededRandom.random(seed, x, 0, z, 320) >= 0.2) {
+                        height = between(function() {
+                            return SeededRandom.random(seed, x, 1, z, 320);
+                        }, feature.height);
+                    }
+                    for (var y = ground[1] - 2; y <= ground[1] + height; y++) {
+                        set(x, y, z, pick(feature.voxels, seed, x, y, z));
+                    }
+                }
+            }
+        }
+    }
+};
+
+
+var stones = function(feature, voxel) {
+    return (feature.voxels || ['cobble']).map(function(value) {
+        return voxel(value, 'Decorations ' + feature.type);
+    });
+};
+
+
+// One of voxels, always the same one for this spot
+var pick = function(voxels, seed, x, y, z) {
+    return voxels[ SeededRandom.hash(seed, x, y, z, 330) % voxels.length ];
+};
+
+
+/*
+generator is the one this stage is added to, for its seed and surface(). options are merged over defaults,
+plus voxels: config.voxels. A features list in options replaces the default one
+*/
+var Decorations = function(generator, options) {
+    var voxel = VoxelNames((options && options.voxels) || {});
+    var self = this;
+    options = Object.assign({}, defaults, options);
+    this.generator = generator;
+    this.seed = generator.seed;
+    this.cellSize = options.cellSize;
+    this.reach = 0;
+    this.features = options.features.map(function(feature) {
+        var type = types[feature.type];
+        if (!type) {
+            throw new Error('Unknown decoration type in config: ' + feature.type);
+        }
+        var prepared = type.prepare(feature, options, voxel);
+        prepared.type = type;
+        prepared.chance = feature.chance;
+        prepared.on = feature.on ? feature.on.map(function(value) {
+            return voxel(value, 'Decorations ' + feature.type);
+        }) : null;
+        self.reach = Math.max(self.reach, prepared.reach);
+        return prepared;
+    });
+};
+module.exports = Decorations;
+Decorations.defaults = defaults;
+
+
+Decorations.prototype.apply = function(chunk, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    var cellSize = this.cellSize;
+    var low = [];
+    var high = [];
+    // Only fills empty voxels inside this chunk. The rest of a feature is drawn by the chunks it's in
+    var set = function(x, y, z, value) {
+        x -= position[0];
+        y -= position[1];
+        z -= position[2];
+        if (x < 0 || y < 0 || z < 0 || x >= chunkSize || y >= chunkSize || z >= chunkSize) {
+            return;
+        }
+        var index = x + (y * chunkSize) + (z * chunkSize * chunkSize);
+        if (voxels[index] == 0) {
+            voxels[index] = value;
+        }
+    };
+    for (var i = 0; i <= 2; i += 2) {
+        low[i] = Math.floor((position[i] - this.reach) / cellSize);
+        high[i] = Math.floor((position[i] + chunkSize - 1 + this.reach) / cellSize);
+    }
+    // Always in the same order, so where features overlap, the same one wins in every chunk
+    for (var cx = low[0]; cx <= high[0]; cx++) {
+        for (var cz = low[2]; cz <= high[2]; cz++) {
+            this.placeFeature(chunk, chunkSize, cx, cz, set);
+        }
+    }
+};
+
+
+Decorations.prototype.placeFeature = function(chunk, chunkSize, cx, cz, set) {
+    var bottom = chunk.position[1];
+    var random = SeededRandom.sequence(this.seed, cx, 0, cz, 300);
+    var x = Math.floor((cx + random()) * this.cellSize);
+    var z = Math.floor((cz + random()) * this.cellSize);
+    var ground = this.generator.surface(x, z);
+    if (!ground) {
+        return;
+    }
+    for (var i = 0; i < this.features.length; i++) {
+        var feature = this.features[i];
+        if (random() >= feature.chance || (feature.on && feature.on.indexOf(ground.voxel) == -1)) {
+            continue;
+        }
+        if (ground.height - feature.below >= bottom + chunkSize || ground.height + feature.above < bottom) {
+            return;
+        }
+        feature.type.draw(feature, [x, ground.height, z], random, set, this.seed);
+        return;
+    }
+};
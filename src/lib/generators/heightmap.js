@@ -0,0 +1,61 @@
+var SeededNoise = require('../seeded-noise');
+var VoxelNames = require('../voxel-names');
+
+/*
+A pipeline stage (see server-pipeline.js) that lays down the ground: every column is solid up to a height
+from fractal noise, and empty above. Usually the first stage, with the others painting and carving it.
+*/
+var defaults = {
+    // Average ground height
+    height: 4,
+    // How far hills rise above and valleys sink below height
+    amplitude: 16,
+    // Voxels across for one cycle of the noise. Bigger is gentler
+    scale: 150,
+    // More is rougher
+    octaves: 4,
+    voxel: 'dirt'
+};
+
+
+// options are merged over defaults, plus voxels: config.voxels
+var Heightmap = function(generator, options) {
+    var voxel = VoxelNames((options && options.voxels) || {});
+    options = Object.assign({}, defaults, options);
+    this.height = options.height;
+    this.amplitude = options.amplitude;
+    this.scale = options.scale;
+    this.octaves = options.octaves;
+    this.voxel = voxel(options.voxel, 'Heightmap');
+    this.noise = new SeededNoise(generator.seed, 20);
+};
+module.exports = Heightmap;
+Heightmap.defaults = defaults;
+
+
+Heightmap.prototype.heightAt = function(x, z) {
+    return Math.floor(this.height + this.amplitude * this.noise.fractal2(x / this.scale, z / this.scale, this.octaves));
+};
+
+
+Heightmap.prototype.surface = function(x, z) {
+    return {
+        height: this.heightAt(x, z),
+        voxel: this.voxel
+    };
+};
+
+
+Heightmap.prototype.apply = function(chunk, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    for (var z = 0; z < chunkSize; z++) {
+        for (var x = 0; x < chunkSize; x++) {
+            // Solid up to here, within this chunk
+            var top = Math.min(chunkSize - 1, this.heightAt(position[0] + x, position[2] + z) - position[1]);
+            for (var y = 0; y <= top; y++) {
+                voxels[x + (y * chunkSize) + (z * chunkSize * chunkSize)] = this.voxel;
+            }
+        }
+    }
+};
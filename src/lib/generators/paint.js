@@ -0,0 +1,86 @@
+var VoxelNames = require('../voxel-names');
+
+/*
+A pipeline stage (see server-pipeline.js) that paints the top of the ground, by height. Each column uses the
+first band its surface height falls in:
+
+    above, below: the band covers surface heights above and below these. Leave either out for no limit
+    surface: the top voxel
+    subsurface: the depth voxels under it
+
+Only solid voxels are painted, so it can go before or after carvers like caves.
+*/
+var defaults = {
+    bands: [
+        // Beaches and sea floor
+        {below: 2, surface: 'sandstone', subsurface: 'sandstone', depth: 4},
+        {above: 24, surface: 'snow', subsurface: 'cobble', depth: 2},
+        {above: 16, surface: 'cobble', subsurface: 'cobble', depth: 2},
+        {surface: 'grass+dirt', subsurface: 'dirt', depth: 3}
+    ]
+};
+
+
+// generator is the pipeline, for the ground the stages before this made. options are merged over defaults,
+// plus voxels: config.voxels
+var Paint = function(generator, options) {
+    var voxel = VoxelNames((options && options.voxels) || {});
+    options = Object.assign({}, defaults, options);
+    this.generator = generator;
+    this.bands = options.bands.map(function(band) {
+        return {
+            above: band.above === undefined ? -Infinity : band.above,
+            below: band.below === undefined ? Infinity : band.below,
+            surface: voxel(band.surface, 'Paint'),
+            subsurface: voxel(band.subsurface || band.surface, 'Paint'),
+            depth: band.depth || 0
+        };
+    });
+};
+module.exports = Paint;
+Paint.defaults = defaults;
+
+
+Paint.prototype.band = function(height) {
+    for (var i = 0; i < this.bands.length; i++) {
+        var band = this.bands[i];
+        if (height > band.above && height < band.below) {
+            return band;
+        }
+    }
+    return null;
+};
+
+
+Paint.prototype.surface = function(x, z, below) {
+    var band = below && this.band(below.height);
+    if (!band) {
+        return below;
+    }
+    return {
+        height: below.height,
+        voxel: band.surface
+    };
+};
+
+
+Paint.prototype.apply = function(chunk, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    for (var z = 0; z < chunkSize; z++) {
+        for (var x = 0; x < chunkSize; x++) {
+            var ground = this.generator.surface(position[0] + x, position[2] + z, this);
+            var band = ground && this.band(ground.height);
+            if (!band) {
+                continue;
+            }
+            var top = ground.height - position[1];
+            for (var y = Math.max(0, top - band.depth); y <= Math.min(chunkSize - 1, top); y++) {
+                var index = x + (y * chunkSize) + (z * chunkSize * chunkSize);
+                if (voxels[index] != 0) {
+                    voxels[index] = (y == top ? band.surface : band.subsurface);
+                }
+            }
+        }
+    }
+};
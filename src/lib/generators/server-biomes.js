@@ -0,0 +1,182 @@
+var Generator = require('../generator');
+var SeededNoise = require('../seeded-noise');
+var VoxelNames = require('../voxel-names');
+var inherits = require('util').inherits;
+
+/*
+Terrain made of biomes. Two slow noise fields, temperature and moisture, pick the biome for each column:
+whichever biome's climate is closest wins. Each biome has its own ground height and roughness, and near
+borders heights are blended by how close each biome's climate is, so there are no cliffs where they meet.
+
+Materials come from the biomes table, by voxel name (from config.voxels) or id:
+
+    surface: the top voxel
+    subsurface: the depth voxels under it
+    below that is options.underground
+
+options.biomes is merged over defaultBiomes, so config can tweak one biome, add new ones or remove some.
+*/
+var defaultBiomes = {
+    plains: {
+        temperature: 0.5,
+        moisture: 0.4,
+        height: 4,
+        roughness: 3,
+        surface: 'grass+dirt',
+        subsurface: 'dirt',
+        depth: 3
+    },
+    desert: {
+        temperature: 0.9,
+        moisture: 0.1,
+        height: 3,
+        roughness: 4,
+        surface: 'sandstone',
+        subsurface: 'sandstone',
+        depth: 6
+    },
+    snowy: {
+        temperature: 0.1,
+        moisture: 0.6,
+        height: 8,
+        roughness: 5,
+        surface: 'snow',
+        subsurface: 'ice',
+        depth: 2
+    },
+    forest: {
+        temperature: 0.6,
+        moisture: 0.9,
+        height: 6,
+        roughness: 4,
+        surface: 'grass',
+        subsurface: 'dirt',
+        depth: 4
+    },
+    mountains: {
+        temperature: 0.3,
+        moisture: 0.2,
+        height: 28,
+        roughness: 20,
+        surface: 'cobble',
+        subsurface: 'cobble',
+        depth: 3
+    }
+};
+
+// Voxels across for one cycle of the climate and height noise
+var climateScale = 600;
+var detailScale = 80;
+
+
+/*
+options:
+
+    voxels: config.voxels, to look up the names in the biomes table
+    biomes: merged over defaultBiomes
+    underground: voxel below every biome's subsurface. Defaults to dirt
+*/
+var ServerBiomesGenerator = function(chunkSize, seed, options) {
+    var voxel;
+    options = options || {};
+    voxel = VoxelNames(options.voxels || {});
+    Generator.call(this, chunkSize, seed);
+
+    this.biomes = [];
+    var table = Object.assign({}, defaultBiomes, options.biomes);
+    for (var name in table) {
+        // Config can set a biome to null to leave it out
+        if (table[name] === null) {
+            continue;
+        }
+        var biome = Object.assign({}, defaultBiomes[name], table[name]);
+        this.biomes.push({
+            name: name,
+            temperature: biome.temperature,
+            moisture: biome.moisture,
+            height: biome.height,
+            roughness: biome.roughness,
+            surface: voxel(biome.surface, 'Biome ' + name),
+            subsurface: voxel(biome.subsurface, 'Biome ' + name),
+            depth: biome.depth
+        });
+    }
+    this.underground = voxel(options.underground || 'dirt', 'Biome underground');
+    this.temperature = new SeededNoise(this.seed, 1);
+    this.moisture = new SeededNoise(this.seed, 2);
+    this.detail = new SeededNoise(this.seed, 3);
+};
+inherits(ServerBiomesGenerator, Generator);
+module.exports = ServerBiomesGenerator;
+ServerBiomesGenerator.defaultBiomes = defaultBiomes;
+
+
+// Noise piles up around 0, which would make the middle biomes far more common than the extremes.
+// Stretch it out and map it to 0 to 1
+var climate = function(value) {
+    return Math.min(1, Math.max(0, (value * 1.6 + 1) / 2));
+};
+
+
+// Returns {biome, height} for the column at x, z. biome is the dominant one
+ServerBiomesGenerator.prototype.column = function(x, z) {
+    var temperature = climate(this.temperature.fractal2(x / climateScale, z / climateScale, 2));
+    var moisture = climate(this.moisture.fractal2(x / climateScale, z / climateScale, 2));
+    var detail = this.detail.fractal2(x / detailScale, z / detailScale, 3);
+    var biomes = this.biomes;
+    var best = null;
+    var bestWeight = 0;
+    var totalWeight = 0;
+    var height = 0;
+    for (var i = 0; i < biomes.length; i++) {
+        var biome = biomes[i];
+        var dt = temperature - biome.temperature;
+        var dm = moisture - biome.moisture;
+        var distance = dt * dt + dm * dm;
+        // Falls off steeply, so a biome's own height holds until close to its border
+        var weight = 1 / (distance * distance + 0.00001);
+        height += (biome.height + biome.roughness * detail) * weight;
+        totalWeight += weight;
+        if (weight > bestWeight) {
+            best = biome;
+            bestWeight = weight;
+        }
+    }
+    return {
+        biome: best,
+        height: Math.floor(height / totalWeight)
+    };
+};
+
+
+ServerBiomesGenerator.prototype.surface = function(x, z) {
+    var column = this.column(x, z);
+    return {
+        height: column.height,
+        voxel: column.biome.surface
+    };
+};
+
+
+ServerBiomesGenerator.prototype.fillChunkVoxels = function(chunk, fn, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    for (var z = 0; z < chunkSize; z++) {
+        for (var x = 0; x < chunkSize; x++) {
+            var column = this.column(position[0] + x, position[2] + z);
+            var biome = column.biome;
+            for (var y = 0; y < chunkSize; y++) {
+                var worldY = position[1] + y;
+                var value = 0;
+                if (worldY == column.height) {
+                    value = biome.surface;
+                } else if (worldY < column.height - biome.depth) {
+                    value = this.underground;
+                } else if (worldY < column.height) {
+                    value = biome.subsurface;
+                }
+                voxels[x + (y * chunkSize) + (z * chunkSize * chunkSize)] = value;
+            }
+        }
+    }
+};
@@ -0,0 +1,75 @@
+var Generator = require('../generator');
+var Caves = require('./caves');
+var inherits = require('util').inherits;
+
+/*
+A generator built from stages listed in config, run in order over each chunk. For example:
+
+    [
+        {stage: 'heightmap', amplitude: 24},
+        {stage: 'caves'},
+        {stage: 'paint'},
+        {stage: 'water', level: 0},
+        {stage: 'decorations'}
+    ]
+
+Each entry names a stage from the table below, and the rest of it is that stage's options. See each stage's
+module for them and their defaults.
+
+Stages can also have surface(x, z, below), which takes what the stages before them say the top of the
+column is ({height, voxel}, or null) and returns it as it is after them. That's how painters and water know
+where the ground is, and how decorations know whether they're standing on grass or under the sea.
+*/
+var stages = {
+    // Ground from fractal noise
+    heightmap: require('./heightmap'),
+    // Tunnels, caverns, ore and lava. Caves only takes the seed, and new gives back what this returns
+    caves: function(generator, options) {
+        return new Caves(generator.seed, options);
+    },
+    // Surface voxels by height
+    paint: require('./paint'),
+    water: require('./water'),
+    // Trees, boulders and ruins
+    decorations: require('./decorations')
+};
+
+
+/*
+options:
+
+    voxels: config.voxels, to look up the voxel names stages use
+    stages: the list of stages, from config.pipeline
+*/
+var ServerPipelineGenerator = function(chunkSize, seed, options) {
+    var self = this;
+    options = options || {};
+    Generator.call(this, chunkSize, seed);
+    (options.stages || []).forEach(function(settings) {
+        var Stage = stages[settings.stage];
+        if (!Stage) {
+            throw new Error('Unknown pipeline stage in config: ' + settings.stage);
+        }
+        self.addStage(new Stage(self, Object.assign({voxels: options.voxels}, settings)));
+    });
+};
+inherits(ServerPipelineGenerator, Generator);
+module.exports = ServerPipelineGenerator;
+ServerPipelineGenerator.stages = stages;
+
+
+// Chunks start out empty, and the stages do the rest
+ServerPipelineGenerator.prototype.fillChunkVoxels = function(chunk, fn, chunkSize) {
+};
+
+
+// Passing before stops at that stage, for a stage that needs the ground as the ones before it left it
+ServerPipelineGenerator.prototype.surface = function(x, z, before) {
+    var surface = null;
+    for (var i = 0; i < this.stages.length && this.stages[i] !== before; i++) {
+        if (this.stages[i].surface) {
+            surface = this.stages[i].surface(x, z, surface);
+        }
+    }
+    return surface;
+};
@@ -1,132 +1,247 @@
 var Generator = require('../generator');
 var inherits = require('util').inherits;
-var fs = require('fs');
-var noise = require('perlin').noise;
-var debug = true;
+var SeededNoise = require('../seeded-noise');
+var SeededRandom = require('../seeded-random');
 
-function getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min)) + min;
+/*
+A world split into regions, each with its own terrain from the terrains table below. The region map is a
+Voronoi diagram: each region has a site, and every column belongs to the region with the nearest one. Sites
+are either scattered from the seed, one per size voxels square, or set by options.layout.
+
+Where regions meet, the ground height blends between them over blend voxels, so there are no cliffs at
+the borders.
+
+options:
+
+    size: voxels across the square each scattered site is in. Regions end up about this big
+    blend: how far, in voxels, borders blend over
+    terrains: how often each terrain comes up, by name. Set one to 0 to leave it out
+    layout: instead of scattering sites, a list of {x, z, terrain}
+*/
+var defaults = {
+    size: 256,
+    blend: 24,
+    terrains: {
+        high: 1,
+        rolling: 2,
+        'sea-level': 1,
+        clouds: 1
+    },
+    layout: null
+};
+
+// Clouds float in this layer, one patch per cloudCell voxels square
+var cloudHeight = 40;
+var cloudCell = 32;
+
+
+var perlin = function(noise, floor, ceiling, divisor) {
+    return function(x, z) {
+        return ~~scale(noise.simplex2(x / divisor, z / divisor), -1, 1, floor, ceiling);
+    };
+};
+
+function scale(x, fromLow, fromHigh, toLow, toHigh) {
+    return (x - fromLow) * (toHigh - toLow) / (fromHigh - fromLow) + toLow;
 }
 
-function ServerRegionsGenerator(cache, chunkSize, folder) {
-    Generator.call(this, cache, chunkSize);
-    this.chunkFolder = folder;
+// Whether there's a cloud over x, z. Each cell gets one flat patch of cloud, somewhere inside it
+var clouds = function(seed) {
+    return function(x, z) {
+        var cellX = Math.floor(x / cloudCell);
+        var cellZ = Math.floor(z / cloudCell);
+        var random = SeededRandom.sequence(seed, cellX, cloudHeight, cellZ, 40);
+        var getRandomInt = function(min, max) {
+            return Math.floor(random() * (max - min)) + min;
+        };
+        var padding = 5;
+        var positionX = cellX * cloudCell + getRandomInt(padding, cloudCell - padding);
+        var positionZ = cellZ * cloudCell + getRandomInt(padding, cloudCell - padding);
+        var width = getRandomInt(2, 12) / 2;
+        var depth = getRandomInt(2, 12) / 2;
+        return Math.abs(x - positionX) <= width && Math.abs(z - positionZ) <= depth;
+    };
+};
+
+/*
+Each terrain is made from the world seed, and has:
+
+    height(x, z): the top of the ground
+    clouds(x, z): optional, whether there's a cloud over the column
+*/
+var terrains = {
+    high: function(seed) {
+        return {
+            height: perlin(new SeededNoise(seed, 30), 0, 50, 50)
+        };
+    },
+    rolling: function(seed) {
+        return {
+            height: perlin(new SeededNoise(seed, 31), 0, 20, 50)
+        };
+    },
+    'sea-level': function(seed) {
+        return {
+            height: function(x, z) {
+                return 0;
+            }
+        };
+    },
+    // Low hills under a layer of clouds
+    clouds: function(seed) {
+        return {
+            height: perlin(new SeededNoise(seed, 32), 0, 6, 80),
+            clouds: clouds(seed)
+        };
+    }
+};
+
+
+// options is merged over defaults, see above
+function ServerRegionsGenerator(chunkSize, seed, options) {
+    var self = this;
+    Generator.call(this, chunkSize, seed);
+    options = Object.assign({}, defaults, options);
+    this.size = options.size;
+    this.blend = options.blend;
+    this.terrains = {};
+    this.choices = [];
+    var weights = Object.assign({}, defaults.terrains, options.terrains);
+    for (var name in weights) {
+        if (!(name in terrains)) {
+            throw new Error('Unknown region terrain in config: ' + name);
+        }
+        if (weights[name] > 0) {
+            this.choices.push({name: name, weight: weights[name]});
+        }
+    }
+    if (options.layout) {
+        if (options.layout.length == 0) {
+            throw new Error('Region layout in config needs at least one region');
+        }
+        this.layout = options.layout.map(function(site) {
+            return {x: site.x, z: site.z, terrain: self.terrain(site.terrain)};
+        });
+    } else if (this.choices.length == 0) {
+        throw new Error('Region terrains in config leave nothing to choose from');
+    }
 }
 
 module.exports = ServerRegionsGenerator;
 inherits(ServerRegionsGenerator, Generator);
+ServerRegionsGenerator.terrains = terrains;
+ServerRegionsGenerator.defaults = defaults;
 
-ServerRegionsGenerator.prototype.fillChunkVoxels = function(chunk, fn, width) {
-    var position = chunk.position;
-    var startX = position[0];
-    var startY = position[1];
-    var startZ = position[2];
-    // Clear, so we can add voxels gradually
-    for (var i = 0; i < 32768; i++) {
-        chunk.voxels[i] = 0;
+
+// Terrains are made when first used, and shared by every region that has them
+ServerRegionsGenerator.prototype.terrain = function(name) {
+    if (!(name in terrains)) {
+        throw new Error('Unknown region terrain in config: ' + name);
     }
-    // determine the region
-    if (startY < 0) {
-        terrains.ground(chunk, width);
-        return;
+    if (!this.terrains[name]) {
+        this.terrains[name] = terrains[name](this.seed);
     }
-    // clouds
-    if (32 <= startY && startY <= 64) {
-        terrains.clouds(chunk, width);
+    return this.terrains[name];
+};
+
+
+// Sites that might be near x, z: from the layout, or scattered in the cells around it
+ServerRegionsGenerator.prototype.sites = function(x, z) {
+    var cellX;
+    var cellZ;
+    var sites = [];
+    if (this.layout) {
+        return this.layout;
     }
-    // Ground level and up, to the right past 64, high mountains
-    if (startY >= 0 && startX >= 32) {
-        terrains.high(chunk, width);
-        return;
+    cellX = Math.floor(x / this.size);
+    cellZ = Math.floor(z / this.size);
+    for (var i = cellX - 2; i <= cellX + 2; i++) {
+        for (var j = cellZ - 2; j <= cellZ + 2; j++) {
+            sites.push(this.site(i, j));
+        }
     }
+    return sites;
 };
 
-var perlin = function(seed, floor, ceiling, divisor) {
-    floor = floor || 0;
-    ceiling = ceiling || 20;
-    // minecraft's limit
-    divisor = divisor || 50;
-    noise.seed(seed);
-    return function(chunk, width) {
-        var position = chunk.position;
-        var startX = position[0];
-        var startY = position[1];
-        var startZ = position[2];
-        var voxels = chunk.voxels;
-        pointsInside(startX, startZ, width, function(x, z) {
-            var n = noise.simplex2(x / divisor, z / divisor);
-            var y = ~~scale(n, -1, 1, floor, ceiling);
-            if (y === floor || startY < y && y < startY + width) {
-                var xidx = Math.abs((width + x % width) % width);
-                var yidx = Math.abs((width + y % width) % width);
-                var zidx = Math.abs((width + z % width) % width);
-                var idx = xidx + yidx * width + zidx * width * width;
-                voxels[idx] = 1;
-                // now that we've set the crust, loop down and create earth underneath
-                for (var i = y; i >= startY; i--) {
-                    var idx = xidx + Math.abs((width + i % width) % width) * width + zidx * width * width;
-                    voxels[idx] = 1;
-                }
-            }
-        });
-    };
-};
 
-function pointsInside(startX, startY, width, func) {
-    for (var x = startX; x < startX + width; x++) {
-        for (var y = startY; y < startY + width; y++) {
-            func(x, y);
+// The site in a cell, kept away from the cell's edges so regions aren't too lopsided
+ServerRegionsGenerator.prototype.site = function(cellX, cellZ) {
+    var random = SeededRandom.sequence(this.seed, cellX, 0, cellZ, 41);
+    var x = (cellX + 0.2 + random() * 0.6) * this.size;
+    var z = (cellZ + 0.2 + random() * 0.6) * this.size;
+    var total = 0;
+    var choice;
+    var pick;
+    for (var i = 0; i < this.choices.length; i++) {
+        total += this.choices[i].weight;
+    }
+    pick = random() * total;
+    for (i = 0; i < this.choices.length; i++) {
+        choice = this.choices[i];
+        pick -= choice.weight;
+        if (pick < 0) {
+            break;
         }
     }
-}
+    return {x: x, z: z, terrain: this.terrain(choice.name)};
+};
 
-function scale(x, fromLow, fromHigh, toLow, toHigh) {
-    return (x - fromLow) * (toHigh - toLow) / (fromHigh - fromLow) + toLow;
-}
 
-var terrains = {
-    high: perlin('something', 0, 50, 50),
-    rolling: perlin(8484747474747, 0, 20, 50),
-    'sea-level': function(chunk, chunkSize) {
-        var fn = function(x, y, z, chunkSize) {
-            if (y == 0) {
-                return 1;
-            }
-        };
-        var lo = chunk.position;
-        var ii = lo[0] + chunkSize;
-        var jj = lo[1] + chunkSize;
-        var kk = lo[2] + chunkSize;
-        var index = 0;
-        for (var k = lo[2]; k < kk; k++) {
-            for (var j = lo[1]; j < jj; j++) {
-                for (var i = lo[0]; i < ii; i++, index++) {
-                    chunk.voxels[index] = fn(i, j, k, chunkSize);
-                }
-            }
+// Returns {terrain, height} for the column at x, z. terrain is the region's own, height is blended
+ServerRegionsGenerator.prototype.column = function(x, z) {
+    var sites = this.sites(x, z);
+    var distances = [];
+    var nearest = 0;
+    var height = 0;
+    var totalWeight = 0;
+    for (var i = 0; i < sites.length; i++) {
+        var dx = x - sites[i].x;
+        var dz = z - sites[i].z;
+        distances[i] = Math.sqrt(dx * dx + dz * dz);
+        if (distances[i] < distances[nearest]) {
+            nearest = i;
         }
-    },
-    ground: function(chunk, chunkSize) {
-        for (var i = 0; i < 32768; i++) {
-            chunk.voxels[i] = 1;
+    }
+    // Regions within blend of being nearest share in the height, more the closer they are
+    for (i = 0; i < sites.length; i++) {
+        var closeness = 1 - (distances[i] - distances[nearest]) / this.blend;
+        if (closeness <= 0) {
+            continue;
         }
-    },
-    clouds: function(chunk, chunkSize) {
-        var padding = 5;
-        var positionX = getRandomInt(padding, chunkSize - padding);
-        var positionZ = getRandomInt(padding, chunkSize - padding);
-        var width = getRandomInt(2, 12) / 2;
-        var depth = getRandomInt(2, 12) / 2;
-        var fromX = positionX - width;
-        var fromZ = positionZ - depth;
-        var toX = positionX + width;
-        var toZ = positionZ + depth;
-        var cy = 8;
-        var index;
-        for (var cx = fromX; cx <= toX; cx++) {
-            for (var cz = fromZ; cz <= toZ; cz++) {
-                index = cx + cy * chunkSize + cz * chunkSize * chunkSize;
-                chunk.voxels[index] = 5;
+        height += sites[i].terrain.height(x, z) * closeness * closeness;
+        totalWeight += closeness * closeness;
+    }
+    return {
+        terrain: sites[nearest].terrain,
+        height: Math.round(height / totalWeight)
+    };
+};
+
+
+ServerRegionsGenerator.prototype.surface = function(x, z) {
+    return {
+        height: this.column(x, z).height,
+        voxel: 1
+    };
+};
+
+
+ServerRegionsGenerator.prototype.fillChunkVoxels = function(chunk, fn, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    for (var z = 0; z < chunkSize; z++) {
+        for (var x = 0; x < chunkSize; x++) {
+            var column = this.column(position[0] + x, position[2] + z);
+            var cloud = column.terrain.clouds && column.terrain.clouds(position[0] + x, position[2] + z);
+            for (var y = 0; y < chunkSize; y++) {
+                var worldY = position[1] + y;
+                var value = 0;
+                if (worldY <= column.height) {
+                    value = 1;
+                } else if (cloud && worldY == cloudHeight) {
+                    value = 5;
+                }
+                voxels[x + (y * chunkSize) + (z * chunkSize * chunkSize)] = value;
             }
         }
     }
@@ -2,13 +2,11 @@ var Generator = require('../generator');
 var inherits = require('util').inherits;
 var debug = false;
 
-function getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min)) + min;
-}
 
 
-var ServerGenerator = function(chunkSize) {
-    Generator.call(this, chunkSize);
+var ServerGenerator = function(chunkSize, seed) {
+    var self = this;
+    Generator.call(this, chunkSize, seed);
     // 1 block rise, each ring of chunks out from center
     this.generateVoxel = function(x, y, z, chunkSize) {
         if (y == 0) {
@@ -21,7 +19,7 @@ var ServerGenerator = function(chunkSize) {
             // 1 in N chance of lava
             // 2 in N chance of granite
             // 2 in N chance of slate
-            var chance = getRandomInt(1, 800)
+            var chance = self.randomInt(x, y, z, 1, 800);
             if (chance < 3) {
               return 4; // obsidian
             } else if (chance < 8) {
@@ -48,5 +46,15 @@ var ServerGenerator = function(chunkSize) {
 };
 inherits(ServerGenerator, Generator);
 
+
+ServerGenerator.prototype.surface = function(x, z) {
+    var chunkX = Math.abs(Math.floor(x / this.chunkSize));
+    var chunkZ = Math.abs(Math.floor(z / this.chunkSize));
+    return {
+        height: Math.max(chunkX, chunkZ),
+        voxel: 1
+    };
+};
+
 module.exports = ServerGenerator;
 
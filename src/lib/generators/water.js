@@ -0,0 +1,64 @@
+var VoxelNames = require('../voxel-names');
+
+/*
+A pipeline stage (see server-pipeline.js) that fills seas and lakes: empty voxels between the ground and
+level become water.
+
+Caves under a sea or lake are flooded too, all the way down, since water would pour in through their mouths.
+So list water after caves. Caves under dry land stay dry, even below level, which means a tunnel running
+inland from under the sea is flooded only as far as the shore. Following the water through the caves would
+take chunks other than the one being generated.
+*/
+var defaults = {
+    level: 0,
+    voxel: 'water'
+};
+
+
+// generator is the pipeline, for the ground the stages before this made. options are merged over defaults,
+// plus voxels: config.voxels
+var Water = function(generator, options) {
+    var voxel = VoxelNames((options && options.voxels) || {});
+    options = Object.assign({}, defaults, options);
+    this.generator = generator;
+    this.level = options.level;
+    this.voxel = voxel(options.voxel, 'Water');
+};
+module.exports = Water;
+Water.defaults = defaults;
+
+
+Water.prototype.surface = function(x, z, below) {
+    if (!below || below.height >= this.level) {
+        return below;
+    }
+    return {
+        height: this.level,
+        voxel: this.voxel
+    };
+};
+
+
+Water.prototype.apply = function(chunk, chunkSize) {
+    var position = chunk.position;
+    var voxels = chunk.voxels;
+    if (position[1] > this.level) {
+        return;
+    }
+    for (var z = 0; z < chunkSize; z++) {
+        for (var x = 0; x < chunkSize; x++) {
+            var ground = this.generator.surface(position[0] + x, position[2] + z, this);
+            if (!ground || ground.height >= this.level) {
+                continue;
+            }
+            // Everything empty in the column, caves below the ground included
+            var high = Math.min(chunkSize - 1, this.level - position[1]);
+            for (var y = 0; y <= high; y++) {
+                var index = x + (y * chunkSize) + (z * chunkSize * chunkSize);
+                if (voxels[index] == 0) {
+                    voxels[index] = this.voxel;
+                }
+            }
+        }
+    }
+};
@@ -4,6 +4,7 @@
 var Growable = require('../growable');
 var pool = require('../object-pool');
 var timer = require('../timer');
+var VoxelValue = require('../voxel-value');
 var Coordinator;
 var chunkCache;
 var chunkSize = 2;
@@ -323,14 +324,14 @@ var isFaceBlocked = function(basePosition, voxels, chunkSize, face, x, y, z, cur
         //console.log(opposingChunkID, opposingIndex);
         if (opposingChunkID in chunkCache) {
             var opposingChunk = chunkCache[opposingChunkID];
-            var opposingVoxelValue = opposingChunk.voxels[ opposingIndex ];
+            var opposingVoxelValue = VoxelValue.id(opposingChunk.voxels[ opposingIndex ]);
             return shouldSkipFace(currentVoxelValue, opposingVoxelValue);
         }
 
         return false;
     }
     var index = Coordinator.coordinatesToVoxelIndex(x, y, z);
-    var opposingVoxelValue = voxels[index];
+    var opposingVoxelValue = VoxelValue.id(voxels[index]);
 
     return shouldSkipFace(currentVoxelValue, opposingVoxelValue);
 };
@@ -451,7 +452,8 @@ var calculate = function(basePosition, voxels) {
             xFaceTexture.fill(0, 0, 4);
 
             for (var x = 0; x < chunkSize; x++) {
-                var voxelValue = voxels[index + x];
+                // Textures depend on the block id, not its state
+                var voxelValue = VoxelValue.id(voxels[index + x]);
 
                 if (voxelValue == 16) {
                     voxelValue = 5;
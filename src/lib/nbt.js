@@ -0,0 +1,278 @@
+/*
+Minimal reader and writer for Minecraft's Named Binary Tag format, enough for schematic files.
+Works on uncompressed bytes, so gunzip first. Multi-byte numbers are big-endian.
+
+Reading returns plain values: compounds become objects, lists and int arrays become arrays,
+byte arrays become Int8Arrays. Longs become Numbers, so they lose precision past 2^53.
+
+Writing needs to know each value's type, so build values with the helpers:
+
+    nbt.write('Schematic', nbt.compound({
+        Version: nbt.int(2),
+        Palette: nbt.compound({ 'voxeling:air': nbt.int(0) })
+    }));
+*/
+var types = {
+    end: 0,
+    byte: 1,
+    short: 2,
+    int: 3,
+    long: 4,
+    float: 5,
+    double: 6,
+    byteArray: 7,
+    string: 8,
+    list: 9,
+    compound: 10,
+    intArray: 11,
+    longArray: 12
+};
+
+var textEncoder = new TextEncoder();
+var textDecoder = new TextDecoder();
+
+
+var Reader = function(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+};
+Reader.prototype.need = function(length) {
+    if (this.offset + length > this.bytes.length) {
+        throw new RangeError('NBT data ends unexpectedly');
+    }
+};
+Reader.prototype.byte = function() {
+    this.need(1);
+    return this.view.getInt8(this.offset++);
+};
+Reader.prototype.short = function() {
+    this.need(2);
+    var value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+};
+Reader.prototype.int = function() {
+    this.need(4);
+    var value = this.view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+};
+Reader.prototype.long = function() {
+    var high = this.int();
+    var low = this.int();
+    return high * 4294967296 + (low >>> 0);
+};
+Reader.prototype.float = function() {
+    this.need(4);
+    var value = this.view.getFloat32(this.offset);
+    this.offset += 4;
+    return value;
+};
+Reader.prototype.double = function() {
+    this.need(8);
+    var value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+};
+Reader.prototype.byteArray = function() {
+    var length = this.int();
+    this.need(length);
+    var value = new Int8Array(this.bytes.buffer, this.bytes.byteOffset + this.offset, length);
+    this.offset += length;
+    return value;
+};
+Reader.prototype.string = function() {
+    this.need(2);
+    var length = this.view.getUint16(this.offset);
+    this.offset += 2;
+    this.need(length);
+    var value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+};
+Reader.prototype.list = function() {
+    var type = this.byte();
+    var length = this.int();
+    var value = [];
+    for (var i = 0; i < length; i++) {
+        value.push(this.payload(type));
+    }
+    return value;
+};
+Reader.prototype.compound = function() {
+    var value = {};
+    var type;
+    while ((type = this.byte()) != types.end) {
+        var name = this.string();
+        value[name] = this.payload(type);
+    }
+    return value;
+};
+Reader.prototype.intArray = function() {
+    var length = this.int();
+    var value = [];
+    for (var i = 0; i < length; i++) {
+        value.push(this.int());
+    }
+    return value;
+};
+Reader.prototype.longArray = function() {
+    var length = this.int();
+    var value = [];
+    for (var i = 0; i < length; i++) {
+        value.push(this.long());
+    }
+    return value;
+};
+Reader.prototype.payload = function(type) {
+    switch (type) {
+        case types.byte: return this.byte();
+        case types.short: return this.short();
+        case types.int: return this.int();
+        case types.long: return this.long();
+        case types.float: return this.float();
+        case types.double: return this.double();
+        case types.byteArray: return this.byteArray();
+        case types.string: return this.string();
+        case types.list: return this.list();
+        case types.compound: return this.compound();
+        case types.intArray: return this.intArray();
+        case types.longArray: return this.longArray();
+    }
+    throw new Error('Unknown NBT tag type: ' + type);
+};
+
+
+// Collects bytes in parts and joins them at the end
+var Writer = function() {
+    this.parts = [];
+    this.length = 0;
+};
+Writer.prototype.fixed = function(size, callback) {
+    var bytes = new Uint8Array(size);
+    callback(new DataView(bytes.buffer));
+    this.bytes(bytes);
+};
+Writer.prototype.bytes = function(bytes) {
+    this.parts.push(bytes);
+    this.length += bytes.length;
+};
+Writer.prototype.byte = function(value) {
+    this.fixed(1, function(view) { view.setInt8(0, value); });
+};
+Writer.prototype.short = function(value) {
+    this.fixed(2, function(view) { view.setInt16(0, value); });
+};
+Writer.prototype.int = function(value) {
+    this.fixed(4, function(view) { view.setInt32(0, value); });
+};
+Writer.prototype.long = function(value) {
+    this.int(Math.floor(value / 4294967296));
+    this.int(value % 4294967296);
+};
+Writer.prototype.float = function(value) {
+    this.fixed(4, function(view) { view.setFloat32(0, value); });
+};
+Writer.prototype.double = function(value) {
+    this.fixed(8, function(view) { view.setFloat64(0, value); });
+};
+Writer.prototype.byteArray = function(value) {
+    this.int(value.length);
+    this.bytes(new Uint8Array(value.buffer, value.byteOffset, value.length));
+};
+Writer.prototype.string = function(value) {
+    var encoded = textEncoder.encode(value);
+    if (encoded.length > 0xffff) {
+        throw new RangeError('NBT strings can be at most 65535 bytes');
+    }
+    this.fixed(2, function(view) { view.setUint16(0, encoded.length); });
+    this.bytes(encoded);
+};
+// value is {type: 'int', items: [...]}, items are plain values
+Writer.prototype.list = function(value) {
+    this.byte(value.items.length ? types[value.type] : types.end);
+    this.int(value.items.length);
+    for (var i = 0; i < value.items.length; i++) {
+        this[value.type](value.items[i]);
+    }
+};
+// value is an object of tags
+Writer.prototype.compound = function(value) {
+    for (var name in value) {
+        this.tag(name, value[name]);
+    }
+    this.byte(types.end);
+};
+Writer.prototype.intArray = function(value) {
+    this.int(value.length);
+    for (var i = 0; i < value.length; i++) {
+        this.int(value[i]);
+    }
+};
+Writer.prototype.longArray = function(value) {
+    this.int(value.length);
+    for (var i = 0; i < value.length; i++) {
+        this.long(value[i]);
+    }
+};
+Writer.prototype.tag = function(name, tag) {
+    this.byte(types[tag.type]);
+    this.string(name);
+    this[tag.type](tag.value);
+};
+Writer.prototype.join = function() {
+    var out = new Uint8Array(this.length);
+    var offset = 0;
+    for (var i = 0; i < this.parts.length; i++) {
+        out.set(this.parts[i], offset);
+        offset += this.parts[i].length;
+    }
+    return out;
+};
+
+
+var nbt = {
+    // Returns {name: 'root tag name', value: {...}}. Throws if the data is malformed
+    read: function(bytes) {
+        var reader = new Reader(bytes);
+        if (reader.byte() != types.compound) {
+            throw new Error('NBT data should start with a compound tag');
+        }
+        return {
+            name: reader.string(),
+            value: reader.compound()
+        };
+    },
+
+    // Returns a Uint8Array
+    write: function(name, root) {
+        var writer = new Writer();
+        writer.tag(name, root);
+        return writer.join();
+    },
+
+    // Lists take the type of their items and an array of plain values
+    list: function(type, items) {
+        return {
+            type: 'list',
+            value: {
+                type: type,
+                items: items
+            }
+        };
+    }
+};
+
+Object.keys(types).forEach(function(type) {
+    if (type != 'end' && type != 'list') {
+        nbt[type] = function(value) {
+            return {
+                type: type,
+                value: value
+            };
+        };
+    }
+});
+
+module.exports = nbt;
@@ -0,0 +1,432 @@
+var fs = require('fs');
+var crypto = require('crypto');
+
+/*
+Packs regionSize^3 chunks into a single file, so big worlds don't turn into hundreds of thousands of tiny files.
+
+    4 bytes: "VXLR"
+    uint32: format version
+    uint32: chunks along each side of the region
+    uint32: reserved
+    offset table, one entry per chunk, x first, then y, then z:
+        uint32: where the chunk's data starts, 0 if the chunk isn't stored
+        uint32: length of the chunk's data
+        uint32: first 4 bytes of the SHA-1 of the chunk's data
+    chunk data, in no particular order. RegionChunkStore stores chunk-codec.js encoded voxels
+
+Numbers are little-endian.
+
+A chunk is never overwritten where it sits. The new version goes into free space (a gap left by an
+older version, or the end of the file) and is synced before its table entry switches over, so a crash
+leaves the table pointing at either the old version or the new one. compact() squeezes out the gaps.
+*/
+var magic = Buffer.from('VXLR');
+var version = 1;
+var headerLength = 16;
+var entryLength = 12;
+
+var RegionFile = function(path, regionSize) {
+    this.path = path;
+    this.regionSize = regionSize;
+    this.entries = regionSize * regionSize * regionSize;
+    this.dataStart = headerLength + this.entries * entryLength;
+    this.fd = null;
+    this.table = null;
+    // File length in bytes
+    this.size = 0;
+    // Operations run one at a time so table updates can't interleave
+    this.queue = [];
+    this.busy = false;
+};
+module.exports = RegionFile;
+
+
+RegionFile.prototype.enqueue = function(op, callback) {
+    var self = this;
+    this.queue.push(function() {
+        op(function() {
+            self.busy = false;
+            callback.apply(null, arguments);
+            self.next();
+        });
+    });
+    this.next();
+};
+
+
+RegionFile.prototype.next = function() {
+    if (this.busy || this.queue.length == 0) {
+        return;
+    }
+    this.busy = true;
+    this.queue.shift()();
+};
+
+
+// Creates the file if it doesn't exist. Only call from within a queued operation
+RegionFile.prototype.open = function(callback) {
+    var self = this;
+    if (this.fd !== null) {
+        callback(null);
+        return;
+    }
+    fs.open(this.path, 'r+', function(error, fd) {
+        if (error && error.code == 'ENOENT') {
+            self.create(callback);
+            return;
+        }
+        if (error) {
+            callback(error);
+            return;
+        }
+        var table = Buffer.alloc(self.dataStart);
+        fs.read(fd, table, 0, table.length, 0, function(error, bytesRead) {
+            if (error || bytesRead != table.length || table.compare(magic, 0, 4, 0, 4) != 0) {
+                fs.close(fd, function() {
+                    callback(error || 'Not a region file: ' + self.path);
+                });
+                return;
+            }
+            if (table.readUInt32LE(4) != version || table.readUInt32LE(8) != self.regionSize) {
+                fs.close(fd, function() {
+                    callback('Region file ' + self.path + ' has a different version or region size');
+                });
+                return;
+            }
+            fs.fstat(fd, function(error, stat) {
+                if (error) {
+                    fs.close(fd, function() {
+                        callback(error);
+                    });
+                    return;
+                }
+                self.fd = fd;
+                self.table = table;
+                self.size = stat.size;
+                callback(null);
+            });
+        });
+    });
+};
+
+
+RegionFile.prototype.create = function(callback) {
+    var self = this;
+    var table = Buffer.alloc(this.dataStart);
+    magic.copy(table, 0);
+    table.writeUInt32LE(version, 4);
+    table.writeUInt32LE(this.regionSize, 8);
+    fs.open(this.path, 'w+', function(error, fd) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        fs.write(fd, table, 0, table.length, 0, function(error) {
+            if (error) {
+                fs.close(fd, function() {
+                    callback(error);
+                });
+                return;
+            }
+            fs.fsync(fd, function(error) {
+                if (error) {
+                    fs.close(fd, function() {
+                        callback(error);
+                    });
+                    return;
+                }
+                self.fd = fd;
+                self.table = table;
+                self.size = table.length;
+                callback(null);
+            });
+        });
+    });
+};
+
+
+RegionFile.prototype.entry = function(index) {
+    var at = headerLength + index * entryLength;
+    return {
+        offset: this.table.readUInt32LE(at),
+        length: this.table.readUInt32LE(at + 4),
+        checksum: this.table.readUInt32LE(at + 8)
+    };
+};
+
+
+// Calls back with the chunk's data as a Buffer, or null if the region doesn't have it
+RegionFile.prototype.read = function(index, callback) {
+    var self = this;
+    this.enqueue(
+        function(done) {
+            self.open(function(error) {
+                if (error) {
+                    done(error);
+                    return;
+                }
+                var entry = self.entry(index);
+                if (entry.offset == 0) {
+                    done(null, null);
+                    return;
+                }
+                var data = Buffer.alloc(entry.length);
+                fs.read(self.fd, data, 0, entry.length, entry.offset, function(error, bytesRead) {
+                    if (error) {
+                        done(error);
+                        return;
+                    }
+                    if (bytesRead != entry.length || checksum(data) != entry.checksum) {
+                        console.log('Chunk ' + index + ' in ' + self.path + ' is corrupt, ignoring it');
+                        done(null, null);
+                        return;
+                    }
+                    done(null, data);
+                });
+            });
+        },
+        callback
+    );
+};
+
+
+// data should be a Buffer or Uint8Array that nothing else will change
+RegionFile.prototype.write = function(index, data, callback) {
+    var self = this;
+    this.enqueue(
+        function(done) {
+            self.open(function(error) {
+                if (error) {
+                    done(error);
+                    return;
+                }
+                self.writeData(index, data, done);
+            });
+        },
+        callback
+    );
+};
+
+
+// Only call from within a queued operation
+RegionFile.prototype.writeData = function(index, data, callback) {
+    var self = this;
+    var offset = this.allocate(data.length);
+    fs.write(this.fd, data, 0, data.length, offset, function(error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        fs.fsync(self.fd, function(error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            var at = headerLength + index * entryLength;
+            var entry = Buffer.alloc(entryLength);
+            entry.writeUInt32LE(offset, 0);
+            entry.writeUInt32LE(data.length, 4);
+            entry.writeUInt32LE(checksum(data), 8);
+            fs.write(self.fd, entry, 0, entryLength, at, function(error) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                fs.fsync(self.fd, function(error) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    entry.copy(self.table, at);
+                    self.size = Math.max(self.size, offset + data.length);
+                    callback(null);
+                });
+            });
+        });
+    });
+};
+
+
+// Returns where to put length bytes: the first gap between stored chunks that fits, or after the last one.
+// The chunk's current version counts as in use, since the table points at it until the write finishes
+RegionFile.prototype.allocate = function(length) {
+    var used = this.usedExtents();
+    var position = this.dataStart;
+    for (var i = 0; i < used.length; i++) {
+        if (used[i][0] - position >= length) {
+            return position;
+        }
+        position = Math.max(position, used[i][0] + used[i][1]);
+    }
+    return position;
+};
+
+
+// [offset, length] of every stored chunk, sorted by offset
+RegionFile.prototype.usedExtents = function() {
+    var used = [];
+    for (var i = 0; i < this.entries; i++) {
+        var entry = this.entry(i);
+        if (entry.offset > 0) {
+            used.push([entry.offset, entry.length]);
+        }
+    }
+    used.sort(function(a, b) {
+        return a[0] - b[0];
+    });
+    return used;
+};
+
+
+// Calls back with the indexes of the chunks stored in this region
+RegionFile.prototype.list = function(callback) {
+    var self = this;
+    this.enqueue(
+        function(done) {
+            self.open(function(error) {
+                var indexes = [];
+                if (error) {
+                    done(error);
+                    return;
+                }
+                for (var i = 0; i < self.entries; i++) {
+                    if (self.entry(i).offset > 0) {
+                        indexes.push(i);
+                    }
+                }
+                done(null, indexes);
+            });
+        },
+        callback
+    );
+};
+
+
+// Calls back with how many bytes of the file hold nothing useful, and the file size
+RegionFile.prototype.waste = function(callback) {
+    var self = this;
+    this.enqueue(
+        function(done) {
+            self.open(function(error) {
+                var stored = 0;
+                if (error) {
+                    done(error);
+                    return;
+                }
+                self.usedExtents().forEach(function(extent) {
+                    stored += extent[1];
+                });
+                done(null, self.size - self.dataStart - stored, self.size);
+            });
+        },
+        callback
+    );
+};
+
+
+// Rewrites the file with the chunks packed together. Writes a temporary file and renames it over
+// the original, so a crash part way leaves the original untouched
+RegionFile.prototype.compact = function(callback) {
+    var self = this;
+    this.enqueue(
+        function(done) {
+            self.open(function(error) {
+                if (error) {
+                    done(error);
+                    return;
+                }
+                var used = [];
+                var total = self.dataStart;
+                for (var i = 0; i < self.entries; i++) {
+                    var entry = self.entry(i);
+                    if (entry.offset > 0) {
+                        used.push([i, entry]);
+                        total += entry.length;
+                    }
+                }
+                var out = Buffer.alloc(total);
+                var position = self.dataStart;
+                var readNext = function(i) {
+                    if (i == used.length) {
+                        self.replace(out, done);
+                        return;
+                    }
+                    var index = used[i][0];
+                    var entry = used[i][1];
+                    fs.read(self.fd, out, position, entry.length, entry.offset, function(error) {
+                        if (error) {
+                            done(error);
+                            return;
+                        }
+                        out.writeUInt32LE(position, headerLength + index * entryLength);
+                        out.writeUInt32LE(entry.length, headerLength + index * entryLength + 4);
+                        out.writeUInt32LE(entry.checksum, headerLength + index * entryLength + 8);
+                        position += entry.length;
+                        readNext(i + 1);
+                    });
+                };
+                self.table.copy(out, 0, 0, headerLength);
+                readNext(0);
+            });
+        },
+        callback
+    );
+};
+
+
+// Only call from within a queued operation
+RegionFile.prototype.replace = function(data, callback) {
+    var self = this;
+    var temporary = this.path + '.tmp';
+    fs.open(temporary, 'w', function(error, fd) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        fs.write(fd, data, 0, data.length, 0, function(error) {
+            fs.fsync(fd, function(syncError) {
+                fs.close(fd, function() {
+                    if (error || syncError) {
+                        callback(error || syncError);
+                        return;
+                    }
+                    fs.rename(temporary, self.path, function(error) {
+                        if (error) {
+                            callback(error);
+                            return;
+                        }
+                        fs.close(self.fd, function() {
+                            self.fd = null;
+                            self.table = null;
+                            callback(null);
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+RegionFile.prototype.close = function(callback) {
+    var self = this;
+    this.enqueue(
+        function(done) {
+            if (self.fd === null) {
+                done(null);
+                return;
+            }
+            fs.close(self.fd, function(error) {
+                self.fd = null;
+                self.table = null;
+                done(error);
+            });
+        },
+        callback
+    );
+};
+
+
+function checksum(data) {
+    return crypto.createHash('sha1').update(data).digest().readUInt32LE(0);
+}
@@ -0,0 +1,397 @@
+var zlib = require('zlib');
+var nbt = require('./nbt');
+var VoxelValue = require('./voxel-value');
+
+/*
+Converts structures to and from voxel exchange formats, so builds can move between worlds:
+
+    vox - MagicaVoxel. Palette indexes are our block ids, so only ids 1 to 255 fit. Block state is dropped
+    schem - Sponge schematic (version 2), a gzipped NBT file. The palette uses config.voxels names,
+        with block state as a property like voxeling:stone[state=2]
+
+A structure holds a box of voxel values, x first, then y, then z, just like the clipboard:
+
+{
+    size: [width, height, depth],
+    voxels: [value, ...]
+}
+
+voxelTypes should be config.voxels
+*/
+var Schematic = function(voxelTypes) {
+    this.voxelTypes = voxelTypes;
+    this.valuesByName = {};
+    for (var value in voxelTypes) {
+        this.valuesByName[ voxelTypes[value].name ] = Number(value);
+    }
+};
+module.exports = Schematic;
+
+var namespace = 'voxeling:';
+var air = 'minecraft:air';
+var spongeVersion = 2;
+// Minecraft 1.16.5, the version Sponge v2 schematics are most often paired with
+var dataVersion = 2586;
+var voxVersion = 150;
+
+
+// Sponge sizes are unsigned 16 bits, but NBT only has signed shorts. Sizes over 32767 go in as the
+// negative short with the same bits, and importSponge masks them back
+var unsignedShort = function(value) {
+    return nbt.short((value << 16) >> 16);
+};
+
+
+// Returns a Uint8Array. format should be 'vox' or 'schem'
+Schematic.prototype.export = function(structure, format) {
+    if (format == 'vox') {
+        return this.exportVox(structure);
+    }
+    if (format == 'schem') {
+        return this.exportSponge(structure);
+    }
+    throw new Error('Unknown schematic format: ' + format);
+};
+
+
+// Works out the format from the file's contents. Returns a structure, plus the names
+// of any voxel types we didn't recognize (those become empty space):
+// {size: [], voxels: [], unknown: []}
+Schematic.prototype.import = function(bytes) {
+    if (bytes[0] == 0x56 && bytes[1] == 0x4f && bytes[2] == 0x58 && bytes[3] == 0x20) {
+        return this.importVox(bytes);
+    }
+    // gzip
+    if (bytes[0] == 0x1f && bytes[1] == 0x8b) {
+        return this.importSponge(bytes);
+    }
+    throw new Error('Not a MagicaVoxel or Sponge schematic file');
+};
+
+
+Schematic.prototype.exportSponge = function(structure) {
+    var size = structure.size;
+    var palette = {};
+    var paletteTags = {};
+    var paletteMax = 0;
+    var blockData = [];
+    var index = 0;
+    var root;
+
+    for (var i = 0; i < 3; i++) {
+        if (size[i] > 0xffff) {
+            throw new RangeError('Sponge schematics can be at most 65535 voxels along each side');
+        }
+    }
+
+    // Sponge orders by y, then z, then x
+    for (var y = 0; y < size[1]; y++) {
+        for (var z = 0; z < size[2]; z++) {
+            for (var x = 0; x < size[0]; x++) {
+                var name = this.nameFor( structure.voxels[ x + (y * size[0]) + (z * size[0] * size[1]) ] );
+                if (!(name in palette)) {
+                    palette[name] = paletteMax;
+                    paletteTags[name] = nbt.int(paletteMax);
+                    paletteMax++;
+                }
+                index = palette[name];
+                // Palette indexes are varints
+                while (index > 0x7f) {
+                    blockData.push((index & 0x7f) | 0x80);
+                    index >>>= 7;
+                }
+                blockData.push(index);
+            }
+        }
+    }
+
+    root = nbt.compound({
+        Version: nbt.int(spongeVersion),
+        DataVersion: nbt.int(dataVersion),
+        Width: unsignedShort(size[0]),
+        Height: unsignedShort(size[1]),
+        Length: unsignedShort(size[2]),
+        Offset: nbt.intArray([0, 0, 0]),
+        PaletteMax: nbt.int(paletteMax),
+        Palette: nbt.compound(paletteTags),
+        BlockData: nbt.byteArray(new Int8Array(blockData)),
+        BlockEntities: nbt.list('compound', [])
+    });
+    return new Uint8Array(zlib.gzipSync(nbt.write('Schematic', root)));
+};
+
+
+// Handles Sponge versions 1 through 3
+Schematic.prototype.importSponge = function(bytes) {
+    var root = nbt.read(new Uint8Array(zlib.gunzipSync(bytes))).value;
+    var palette;
+    var blockData;
+    var size;
+    var values = {};
+    var unknown = {};
+    var voxels;
+    var offset = 0;
+
+    // Version 3 nests everything one level deeper, and keeps blocks in their own compound
+    if ('Schematic' in root) {
+        root = root.Schematic;
+    }
+    if ('Blocks' in root) {
+        palette = root.Blocks.Palette;
+        blockData = root.Blocks.Data;
+    } else {
+        palette = root.Palette;
+        blockData = root.BlockData;
+    }
+    if (!palette || !blockData || !('Width' in root) || !('Height' in root) || !('Length' in root)) {
+        throw new Error('Schematic is missing its palette or block data');
+    }
+    // Shorts are signed in NBT but these are unsigned
+    size = [root.Width & 0xffff, root.Height & 0xffff, root.Length & 0xffff];
+
+    for (var name in palette) {
+        var value = this.valueFor(name);
+        if (value === null) {
+            unknown[name] = true;
+            value = 0;
+        }
+        values[ palette[name] ] = value;
+    }
+
+    voxels = new Array(size[0] * size[1] * size[2]);
+    for (var y = 0; y < size[1]; y++) {
+        for (var z = 0; z < size[2]; z++) {
+            for (var x = 0; x < size[0]; x++) {
+                var index = 0;
+                var shift = 0;
+                var b;
+                do {
+                    if (offset >= blockData.length) {
+                        throw new RangeError('Schematic block data ends unexpectedly');
+                    }
+                    b = blockData[offset++] & 0xff;
+                    index |= (b & 0x7f) << shift;
+                    shift += 7;
+                } while (b & 0x80);
+                if (!(index in values)) {
+                    throw new Error('Schematic uses palette index ' + index + ' which is not in its palette');
+                }
+                voxels[ x + (y * size[0]) + (z * size[0] * size[1]) ] = values[index];
+            }
+        }
+    }
+
+    return {
+        size: size,
+        voxels: voxels,
+        unknown: Object.keys(unknown)
+    };
+};
+
+
+/*
+MagicaVoxel is Z-up while we're Y-up, so our Y becomes their Z. Their Y runs opposite
+to our Z to keep the build from being mirrored.
+*/
+Schematic.prototype.exportVox = function(structure) {
+    var size = structure.size;
+    var filled = [];
+    var out;
+    var view;
+    var offset = 0;
+
+    if (size[0] > 256 || size[1] > 256 || size[2] > 256) {
+        throw new RangeError('MagicaVoxel models can be at most 256 voxels along each side');
+    }
+    for (var z = 0; z < size[2]; z++) {
+        for (var y = 0; y < size[1]; y++) {
+            for (var x = 0; x < size[0]; x++) {
+                var value = VoxelValue.id( structure.voxels[ x + (y * size[0]) + (z * size[0] * size[1]) ] );
+                if (!value) {
+                    continue;
+                }
+                if (value > 255) {
+                    throw new RangeError('Block id ' + value + ' does not fit in a MagicaVoxel palette');
+                }
+                filled.push(x, size[2] - 1 - z, y, value);
+            }
+        }
+    }
+
+    var sizeChunk = 12 + 12;
+    var xyziChunk = 12 + 4 + filled.length;
+    var rgbaChunk = 12 + 256 * 4;
+    out = new Uint8Array(8 + 12 + sizeChunk + xyziChunk + rgbaChunk);
+    view = new DataView(out.buffer);
+
+    var chunkHeader = function(id, contentBytes, childBytes) {
+        for (var i = 0; i < 4; i++) {
+            out[offset + i] = id.charCodeAt(i);
+        }
+        view.setInt32(offset + 4, contentBytes, true);
+        view.setInt32(offset + 8, childBytes, true);
+        offset += 12;
+    };
+
+    for (var i = 0; i < 4; i++) {
+        out[i] = 'VOX '.charCodeAt(i);
+    }
+    view.setInt32(4, voxVersion, true);
+    offset = 8;
+    chunkHeader('MAIN', 0, sizeChunk + xyziChunk + rgbaChunk);
+
+    chunkHeader('SIZE', 12, 0);
+    view.setInt32(offset, size[0], true);
+    view.setInt32(offset + 4, size[2], true);
+    view.setInt32(offset + 8, size[1], true);
+    offset += 12;
+
+    chunkHeader('XYZI', 4 + filled.length, 0);
+    view.setInt32(offset, filled.length / 4, true);
+    offset += 4;
+    out.set(filled, offset);
+    offset += filled.length;
+
+    // Palette entry N is color index N + 1
+    chunkHeader('RGBA', 256 * 4, 0);
+    for (var i = 1; i <= 256; i++) {
+        var color = this.colorFor(i % 256);
+        out.set(color, offset);
+        offset += 4;
+    }
+    return out;
+};
+
+
+// Reads the first model in the file. Color indexes are treated as voxel values
+Schematic.prototype.importVox = function(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var offset = 0;
+    var size = null;
+    var voxels;
+    var unknown = {};
+
+    var chunkId = function() {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    };
+
+    if (bytes.length < 20 || chunkId() != 'VOX ') {
+        throw new Error('Not a MagicaVoxel file');
+    }
+    offset = 8;
+    if (chunkId() != 'MAIN') {
+        throw new Error('MagicaVoxel file is missing its MAIN chunk');
+    }
+    // Children of MAIN follow its header
+    offset += 12 + view.getInt32(offset + 4, true);
+
+    while (offset + 12 <= bytes.length) {
+        var id = chunkId();
+        var contentBytes = view.getInt32(offset + 4, true);
+        var content = offset + 12;
+        if (content + contentBytes > bytes.length) {
+            throw new RangeError('MagicaVoxel chunk ' + id + ' runs past end of file');
+        }
+        if (id == 'SIZE' && !size) {
+            // Back to Y-up
+            size = [
+                view.getInt32(content, true),
+                view.getInt32(content + 8, true),
+                view.getInt32(content + 4, true)
+            ];
+        } else if (id == 'XYZI' && size && !voxels) {
+            var count = view.getInt32(content, true);
+            if (count * 4 + 4 > contentBytes) {
+                throw new RangeError('MagicaVoxel XYZI chunk is too short');
+            }
+            voxels = new Array(size[0] * size[1] * size[2]).fill(0);
+            for (var i = 0; i < count; i++) {
+                var at = content + 4 + i * 4;
+                var x = bytes[at];
+                var y = bytes[at + 2];
+                var z = size[2] - 1 - bytes[at + 1];
+                var value = bytes[at + 3];
+                if (x >= size[0] || y >= size[1] || z < 0) {
+                    throw new RangeError('MagicaVoxel voxel lies outside the model');
+                }
+                if (!(value in this.voxelTypes)) {
+                    unknown['color ' + value] = true;
+                    value = 0;
+                }
+                voxels[ x + (y * size[0]) + (z * size[0] * size[1]) ] = value;
+            }
+        }
+        offset = content + contentBytes + view.getInt32(offset + 8, true);
+    }
+    if (!voxels) {
+        throw new Error('MagicaVoxel file has no model');
+    }
+    return {
+        size: size,
+        voxels: voxels,
+        unknown: Object.keys(unknown)
+    };
+};
+
+
+Schematic.prototype.nameFor = function(value) {
+    var id = VoxelValue.id(value);
+    var state = VoxelValue.state(value);
+    var name;
+    if (!id) {
+        return air;
+    }
+    if (id in this.voxelTypes) {
+        name = namespace + this.voxelTypes[id].name;
+    } else {
+        // Keep unnamed ids around, so we can read them back
+        name = namespace + id;
+    }
+    if (state) {
+        name += '[state=' + state + ']';
+    }
+    return name;
+};
+
+
+// Returns null if we don't have a voxel type with that name
+Schematic.prototype.valueFor = function(name) {
+    // Keep our own state property, and drop other block states like minecraft:oak_log[axis=y]
+    var stateMatch = name.match(/\[(?:.*,)?state=(\d+)(?:,.*)?\]$/);
+    var state = (stateMatch ? Math.min(Number(stateMatch[1]), VoxelValue.maxState) : 0);
+    var bare = name.replace(/\[.*\]$/, '');
+    var parts = bare.split(':');
+    var id = null;
+    bare = parts[ parts.length - 1 ];
+    if (bare == 'air' || bare == 'cave_air' || bare == 'void_air') {
+        return 0;
+    }
+    if (bare in this.valuesByName) {
+        id = this.valuesByName[bare];
+    } else if (parts[0] + ':' == namespace && /^[0-9]+$/.test(bare) && (bare in this.voxelTypes)) {
+        id = Number(bare);
+    }
+    if (id === null) {
+        return null;
+    }
+    return (parts[0] + ':' == namespace ? VoxelValue.make(id, state) : id);
+};
+
+
+// Our voxels are textured, so give each value a stable made-up color that's easy to tell apart
+Schematic.prototype.colorFor = function(value) {
+    if (!value) {
+        return [0, 0, 0, 0];
+    }
+    var hue = (value * 137.508) % 360 / 60;
+    var x = 1 - Math.abs(hue % 2 - 1);
+    var rgb = [
+        [1, x, 0], [x, 1, 0], [0, 1, x], [0, x, 1], [x, 0, 1], [1, 0, x]
+    ][ Math.floor(hue) ];
+    return [
+        Math.round(rgb[0] * 200) + 55,
+        Math.round(rgb[1] * 200) + 55,
+        Math.round(rgb[2] * 200) + 55,
+        255
+    ];
+};
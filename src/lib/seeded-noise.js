@@ -0,0 +1,44 @@
+var noise = require('perlin').noise;
+var SeededRandom = require('./seeded-random');
+
+/*
+Simplex noise that differs per world seed, for generators that need several independent noise fields.
+
+The perlin module has a single noise table per process, and reseeding it would change terrain for every
+generator sharing it. So instead of reseeding, each field samples the shared table at an offset picked from
+the seed and a salt. The table repeats every 256 units, so offsets stay within that.
+
+Results are in [-1, 1].
+*/
+var SeededNoise = function(seed, salt) {
+    this.offsetX = SeededRandom.random(seed, 1, 0, 0, salt) * 256;
+    this.offsetY = SeededRandom.random(seed, 0, 1, 0, salt) * 256;
+    this.offsetZ = SeededRandom.random(seed, 0, 0, 1, salt) * 256;
+};
+module.exports = SeededNoise;
+
+
+SeededNoise.prototype.simplex2 = function(x, z) {
+    return noise.simplex2(x + this.offsetX, z + this.offsetZ);
+};
+
+
+SeededNoise.prototype.simplex3 = function(x, y, z) {
+    return noise.simplex3(x + this.offsetX, y + this.offsetY, z + this.offsetZ);
+};
+
+
+// Sums octaves of 2D noise, each twice the frequency and half the strength of the last, for rougher detail
+SeededNoise.prototype.fractal2 = function(x, z, octaves) {
+    var total = 0;
+    var strength = 1;
+    var frequency = 1;
+    var max = 0;
+    for (var i = 0; i < octaves; i++) {
+        total += this.simplex2(x * frequency, z * frequency) * strength;
+        max += strength;
+        strength /= 2;
+        frequency *= 2;
+    }
+    return total / max;
+};
@@ -0,0 +1,76 @@
+/*
+Randomness for world generation that depends only on the world seed and where you are, so a chunk
+generates the same voxels every time, no matter when or in what order it's asked for.
+
+hash() mixes the seed and coordinates like MurmurHash3, giving a well spread uint32. Pass a salt when one
+voxel needs more than one independent number. sequence() is for when a chunk needs a handful of numbers,
+like where to put a cloud: it seeds a small PRNG (mulberry32) from the coordinates.
+*/
+
+var mix = function(h, value) {
+    var k = Math.imul(value | 0, 0xcc9e2d51);
+    k = (k << 15) | (k >>> 17);
+    h ^= Math.imul(k, 0x1b873593);
+    h = (h << 13) | (h >>> 19);
+    return (Math.imul(h, 5) + 0xe6546b64) | 0;
+};
+
+
+var finish = function(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+};
+
+
+// Turns config.seed, a number or string, into a uint32. Missing seeds become 0
+var seed = function(value) {
+    var h = 0;
+    if (value === undefined || value === null) {
+        return 0;
+    }
+    if (typeof value == 'number') {
+        // Keep the high bits of big seeds too
+        return finish(mix(value | 0, Math.floor(value / 4294967296)));
+    }
+    value = String(value);
+    for (var i = 0; i < value.length; i++) {
+        h = mix(h, value.charCodeAt(i));
+    }
+    return finish(h ^ value.length);
+};
+
+
+var hash = function(seed, x, y, z, salt) {
+    return finish(mix(mix(mix(mix(seed, x), y), z), salt || 0));
+};
+
+
+// In [0, 1)
+var random = function(seed, x, y, z, salt) {
+    return hash(seed, x, y, z, salt) / 4294967296;
+};
+
+
+// Returns a function that gives a new number in [0, 1) each call
+var sequence = function(seed, x, y, z, salt) {
+    var state = hash(seed, x, y, z, salt);
+    return function() {
+        var t;
+        state = (state + 0x6d2b79f5) | 0;
+        t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+
+module.exports = {
+    seed: seed,
+    hash: hash,
+    random: random,
+    sequence: sequence
+};
@@ -1,23 +1,46 @@
-var zlib = require('zlib');
 var EventEmitter = require('events').EventEmitter;
 var uuid = require('hat');
 
 // voxel dependencies
 var Coordinates = require('./coordinates');
+var ChunkChangesValidator = require('./chunk-changes-validator');
+var Claims = require('./claims');
+var BinaryProtocol = require('./binary-protocol');
+var codec = require('./chunk-codec');
+var EditHistory = require('./edit-history');
 var HLRU = require('hashlru');
+var stats = require('./voxel-stats');
+var SessionToken = require('./session-token');
+var crypto = require('crypto');
 var debug = false;
 
+// restore.js signs its requests the same way
+var restoreSignature = function(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+};
+
 function getRandomInt(min, max) {
     return Math.floor(Math.random() * (max - min)) + min;
 }
 
-var sendMessage = function(websocket, name, payload) {
-    websocket.send( JSON.stringify([name, payload]) );
+// Clients that negotiated the binary protocol get the message types it supports in binary.
+// Pass the same cache object when sending one message to many clients so we only encode it once per format
+var sendMessage = function(websocket, name, payload, cache) {
+    var format = (websocket.binaryProtocol && BinaryProtocol.supports(name)) ? 'binary' : 'json';
+    cache = cache || {};
+    if (!(format in cache)) {
+        if (format == 'binary') {
+            cache[format] = BinaryProtocol.encode(name, payload);
+        } else {
+            cache[format] = JSON.stringify([name, payload]);
+        }
+    }
+    websocket.send( cache[format] );
 };
 
 module.exports = Server;
 
-function Server(config, clientSettings, chunkStore, wsServer, httpServer) {
+function Server(config, clientSettings, chunkStore, wsServer, httpServer, accountStore, claimStore) {
     // force instantiation via `new` keyword
     //if(!(this instanceof Server)) { return new Server(serverSettings || {}, clientSettings || {}) }
     this.config = config;
@@ -25,6 +48,8 @@ function Server(config, clientSettings, chunkStore, wsServer, httpServer) {
     this.chunkStore = chunkStore;
     this.wsServer = wsServer;
     this.httpServer = httpServer;
+    this.accountStore = accountStore;
+    this.claims = claimStore ? new Claims(claimStore, config) : null;
 
     var chunkSize = config.chunkSize;
     var origin = [0, 0, 0];
@@ -49,16 +74,48 @@ Server.prototype.initialize = function() {
     this.clients = {};
     this.emitter = new EventEmitter();
     this.coords = Coordinates(self.config.chunkSize);
+    // Anyone could sign tokens for any player with a secret copied from the example config
+    if (self.config.sessionSecret == 'change me') {
+        throw new Error('sessionSecret in config is still the placeholder, set it to a long random string');
+    }
+    if (!self.config.sessionSecret) {
+        console.log('No sessionSecret in config, session tokens will not survive a server restart');
+    }
+    this.sessionToken = new SessionToken(
+        self.config.sessionSecret || crypto.randomBytes(32).toString('hex'),
+        self.config.sessionLifetimeMs
+    );
+    this.changesValidator = new ChunkChangesValidator(self.config, function(chunkID) {
+        return self.isChunkInBounds(chunkID);
+    });
 
     this.encodedChunkCache = new HLRU(10);
 
+    // Undo history for logged in players outlives their connection.
+    // Anonymous players keep theirs on the client object, so it's forgotten when they disconnect
+    this.accountHistories = new HLRU(100);
+
+    // How many chunkVoxelIndexValue messages we've relayed to other clients,
+    // and how many we skipped because the client wasn't subscribed to the chunk
+    this.relayCounts = {
+        relayed: 0,
+        suppressed: 0
+    };
+
     // Prime our chunk store or LRU
     //self.requestNearbyChunks(this.clientSettings.initialPosition);
 
+    // Nearby players get position updates every nearPlayerInterval milliseconds, the rest every farPlayerInterval
+    this.nearPlayerDistance = self.config.nearPlayerDistance || 2;
+    this.nearPlayerInterval = self.config.nearPlayerInterval || 100;
+    this.farPlayerInterval = self.config.farPlayerInterval || 1000;
+    // Disconnect clients we haven't heard from in this many milliseconds
+    this.staleClientMs = self.config.staleClientMs || 60000;
+
     // send player position/rotation updates
     setInterval(function() {
         self.sendPlayers();
-    }, 1000 / 3);
+    }, this.nearPlayerInterval);
 
 
     // Handle requests for chunk voxels
@@ -71,36 +128,32 @@ Server.prototype.initialize = function() {
                 response.end();
                 return;
             }
-            // Bail if someone requested a chunk outside our world radius
-            if (!self.isChunkInBounds(chunkId)) {
+            // Bail if someone requested a malformed chunk, or one outside our world radius
+            if (self.changesValidator.validateChunkId(chunkId)) {
                 response.end();
                 return;
             }
             self.chunkStore.get(chunkId, function(error, chunk) {
-                var acceptEncoding = request.headers['accept-encoding'] || '';
-
-                // Note: This is not a conformant accept-encoding parser.
-                // See https://www.w3.org/Protocols/rfc2616/rfc2616-sec14.html#sec14.3
-                if (/\bgzip\b/.test(acceptEncoding)) {
-                    response.writeHead(
-                        200,
-                        {
-                            'Content-Type': 'application/octet-stream',
-                            'Content-Encoding': 'gzip',
-                            'Access-Control-Allow-Origin': '*',
-                            'Cache-Control': 'no-cache'
-                        }
-                    );
-                    if ('compressedVoxels' in chunk && chunk.compressedVoxels) {
-                        response.end( chunk.compressedVoxels );
-                    } else {
-                        response.end( zlib.gzipSync(chunk.voxels) );
-                    }
-                } else {
-                    response.writeHead(200, {});
-                    response.end( chunk.voxels );
+                if (error) {
+                    console.log(error);
+                    response.writeHead(500, {});
+                    response.end();
+                    return;
                 }
+                // Encoded with chunk-codec.js, which client-worker.js decodes. Usually well under a kilobyte,
+                // so we don't gzip on top
+                response.writeHead(
+                    200,
+                    {
+                        'Content-Type': 'application/octet-stream',
+                        'Access-Control-Allow-Origin': '*',
+                        'Cache-Control': 'no-cache'
+                    }
+                );
+                response.end( Buffer.from(codec.encode(chunk.voxels)) );
             });
+        } else if (path == '/restore' && request.method == 'POST') {
+            self.restoreRequest(request, response);
         }
     });
 
@@ -108,18 +161,25 @@ Server.prototype.initialize = function() {
         var id = uuid();
         self.clients[id] = {
             id: id,
-            // This gets updated when we get their position updates
-            // Server should remove stale clients
-            lastSeen: 0,
+            // This gets updated whenever they send us a message.
+            // We disconnect clients that go quiet for too long
+            lastSeen: Date.now(),
             connected: true,
             connection: connection,
             avatar: 'player',
+            // Set once the client logs in
+            username: null,
+            // In chunks. Players farther away than this aren't sent to the client
+            drawDistance: self.config.drawDistance || 2,
+            // Latest positions we've sent this client for other players, keyed by their id
+            sentPlayers: {},
             position: null,
             yaw: 0,
             pitch: 0,
 
-            // The chunk ids this client cares about
-            onlyTheseChunks: []
+            // The chunk ids this client cares about, as a hash.
+            // null until the client tells us, in which case they hear about everything
+            onlyTheseChunks: null
         };
 
         connection.on('error', function(message) {
@@ -127,31 +187,85 @@ Server.prototype.initialize = function() {
         });
 
         connection.on('end', function() {
-            self.clients[id].connected = false;
+            if (id in self.clients) {
+                self.clients[id].connected = false;
+            }
         });
 
         connection.on('close', function(error) {
-            self.clients[id].connected = false;
-            delete self.clients[id];
+            // May have already been removed for being stale
+            if (id in self.clients) {
+                self.clients[id].connected = false;
+                delete self.clients[id];
+            }
         });
 
         connection.on('message', function(message) {
             // Decode message
             // Handle errors and exceptions
             var client = self.clients[id];
-            var decoded = JSON.parse(message);
+            var decoded;
+            if (!client) {
+                return;
+            }
+            client.lastSeen = Date.now();
+            try {
+                if (typeof message === 'string') {
+                    decoded = JSON.parse(message);
+                } else {
+                    decoded = BinaryProtocol.decode(message);
+                }
+            } catch (e) {
+                if (debug) {
+                    console.log('Failed to decode WebSocket message', e);
+                }
+                return;
+            }
+            if (!Array.isArray(decoded)) {
+                return;
+            }
             var type = decoded[0];
             var payload = decoded[1];
             switch (type) {
+                // Client supports the binary protocol, so we can start sending it binary messages
+                case 'protocol':
+                    if (payload && payload.binary === BinaryProtocol.version) {
+                        connection.binaryProtocol = BinaryProtocol.version;
+                    }
+                    break;
+
+                case 'login':
+                    self.login(client, payload);
+                    break;
+
+                case 'claim':
+                    self.claim(client, payload);
+                    break;
+
+                case 'undo':
+                case 'redo':
+                    if (self.canAct(client, type)) {
+                        self.undo(client, type == 'redo');
+                    }
+                    break;
+
                 case 'chat':
                     // ignore if no message provided
-                    if (!payload.text) return;
+                    if (!payload || typeof payload.text !== 'string' || !payload.text) return;
+                    if (!self.canAct(client, 'chat')) {
+                        return;
+                    }
                     if (payload.text.match(/script/i)) {
                         console.log('Found script tag in message. Dropping');
                         return;
                     }
                     // limit chat message length
                     if (payload.text.length > 255) payload.text = payload.text.substr(0, 140);
+                    // Don't trust the name the client sent
+                    payload = {
+                        user: self.displayName(client),
+                        text: payload.text
+                    };
                     self.broadcast(null, 'chat', payload);
                     self.emitter.emit('chat', payload);
                     break;
@@ -173,36 +287,13 @@ Server.prototype.initialize = function() {
 
                 // Client sent us voxel changes for one or more chunks
                 case 'chunkVoxelIndexValue':
-                    var changes = payload;
-                    // Update our chunk store
-                    self.chunkStore.gotChunkChanges(changes);
-
-                    // Re-broadcast this to the other players, too
-                    for (var chunkId in changes) {
-                        var chunkChanges = {};
-                        if (!self.isChunkInBounds(chunkId)) {
-                            continue;
-                        }
-                        chunkChanges[chunkId] = changes[chunkId];
-
-                        self.encodedChunkCache.remove(chunkId);
-                        for (var clientId in self.clients) {
-                            var client;
-                            var connection;
-                            // Don't broadcast to the client that sent us the info
-                            if (clientId === id) {
-                                continue;
-                            }
-                            client = self.clients[clientId];
-                            if (!client.connected) {
-                                continue;
-                            }
-                            if (debug) {
-                                console.log('sending to', clientId, args);
-                            }
-                            // emit over connection
-                            sendMessage(client.connection, 'chunkVoxelIndexValue', chunkChanges);
-                        }
+                    self.chunkVoxelIndexValue(client, payload);
+                    break;
+
+                // Client tells us how far away, in chunks, it can see
+                case 'drawDistance':
+                    if (Number.isInteger(payload) && payload > 0) {
+                        client.drawDistance = Math.min(payload, self.config.maxDrawDistance || 20);
                     }
                     break;
 
@@ -211,7 +302,14 @@ Server.prototype.initialize = function() {
                     if (debug) {
                         console.log('Client only cares about these chunks', payload);
                     }
-                    self.clients[id].onlyTheseChunks = payload;
+                    if (!Array.isArray(payload)) {
+                        break;
+                    }
+                    var onlyTheseChunks = {};
+                    for (var i = 0; i < payload.length; i++) {
+                        onlyTheseChunks[ payload[i] ] = true;
+                    }
+                    client.onlyTheseChunks = onlyTheseChunks;
                     break;
                 default:
                     if (debug) {
@@ -221,7 +319,594 @@ Server.prototype.initialize = function() {
             }
         });
 
-        sendMessage(connection, 'settings', {id: id, settings: self.clientSettings});
+        sendMessage(connection, 'settings', {
+            id: id,
+            settings: self.clientSettings,
+            // Binary protocol version we speak. Clients opt in by replying with a protocol message
+            binaryProtocol: BinaryProtocol.version
+        });
+        if (self.claims) {
+            sendMessage(connection, 'claims', self.claims.list());
+        }
+    });
+};
+
+
+/*
+Client sent us voxel changes for one or more chunks. Payload is either the changes themselves:
+
+{
+    chunkId: [index, value, index2, value2 ...],
+    ...
+}
+
+or {sequence: 1, changes: {...}}, in which case we reply with an ack so the client can roll back
+rejected changes:
+
+{sequence: 1, rejected: false}
+{sequence: 1, rejected: true, message: ''} - none were applied
+{sequence: 1, rejected: {chunkId: [index, ...]}, message: ''} - these voxels weren't changed
+*/
+Server.prototype.chunkVoxelIndexValue = function(client, payload) {
+    var self = this;
+    var sequence = null;
+    var changes = {};
+    var error;
+    var denied;
+
+    if (payload && typeof payload === 'object' && 'sequence' in payload && 'changes' in payload) {
+        sequence = payload.sequence;
+        payload = payload.changes;
+    }
+    var ack = function(rejected, message) {
+        if (sequence === null) {
+            return;
+        }
+        sendMessage(client.connection, 'ack', {
+            sequence: sequence,
+            rejected: rejected,
+            message: message
+        });
+    };
+
+    if (!self.canAct(client, 'chunkVoxelIndexValue')) {
+        ack(true, 'You need to log in first');
+        return;
+    }
+    error = self.changesValidator.validate(payload, changes);
+    if (error) {
+        stats.count('chunkVoxelIndexValue.rejected');
+        console.log('Rejected voxel changes from ' + client.id + ': ' + error);
+        sendMessage(client.connection, 'error', {
+            type: 'chunkVoxelIndexValue',
+            message: error
+        });
+        ack(true, error);
+        return;
+    }
+
+    denied = self.enforceClaims(client, changes);
+    if (Object.keys(denied).length > 0) {
+        error = self.claimsError();
+        stats.count('chunkVoxelIndexValue.claimed');
+        sendMessage(client.connection, 'error', {
+            type: 'claim',
+            message: error
+        });
+        if (sequence === null) {
+            // Client isn't tracking its edits, so tell it what those voxels should be
+            self.sendCurrentVoxels(client, denied);
+        } else {
+            ack(denied, error);
+        }
+        if (Object.keys(changes).length == 0) {
+            return;
+        }
+    } else {
+        ack(false);
+    }
+
+    self.recordHistory(client, changes, function() {
+        self.commitChanges(client, changes, client.id);
+    });
+};
+
+
+// Update our chunk store and tell the other players, except the one with exceptId
+Server.prototype.commitChanges = function(client, changes, exceptId) {
+    var self = this;
+    self.chunkStore.gotChunkChanges(changes);
+    self.emitter.emit('chunkVoxelIndexValue', {
+        user: self.displayName(client),
+        changes: changes
+    });
+
+    // Re-broadcast this to the other players, too
+    for (var chunkId in changes) {
+        var chunkChanges = {};
+        chunkChanges[chunkId] = changes[chunkId];
+
+        self.encodedChunkCache.remove(chunkId);
+        self.relayChunkChanges(exceptId, chunkId, chunkChanges);
+    }
+};
+
+
+Server.prototype.historyFor = function(client) {
+    var history;
+    var maxSize = this.config.maxUndoHistory || 20;
+    if (client.username) {
+        history = this.accountHistories.get(client.username);
+        if (!history) {
+            history = new EditHistory(maxSize);
+            this.accountHistories.set(client.username, history);
+        }
+        return history;
+    }
+    if (!client.history) {
+        client.history = new EditHistory(maxSize);
+    }
+    return client.history;
+};
+
+
+// Runs task(done) once the client's earlier edits, undos and redos are done. They go through one at a time,
+// in the order they arrived. Otherwise a batch that arrives while we're still reading the voxels for the one
+// before would read the same old values, and an undo right after an edit would find it not recorded yet
+Server.prototype.queueHistory = function(client, task) {
+    var next;
+    if (!client.historyQueue) {
+        client.historyQueue = [];
+    }
+    client.historyQueue.push(task);
+    if (client.historyQueue.length > 1) {
+        // Already working through the queue
+        return;
+    }
+    next = function() {
+        client.historyQueue[0](function() {
+            client.historyQueue.shift();
+            if (client.historyQueue.length > 0) {
+                next();
+            }
+        });
+    };
+    next();
+};
+
+
+// Remember what the voxels were before these changes, so the player can undo them. callback should apply them
+Server.prototype.recordHistory = function(client, changes, callback) {
+    var self = this;
+    self.queueHistory(client, function(done) {
+        self.currentVoxelValues(changes, function(previous) {
+            self.historyFor(client).record(changes, previous);
+            callback();
+            done();
+        });
+    });
+};
+
+
+// Calls back with the stored values of the voxels in changes, in chunkVoxelIndexValue form.
+// Note: the MySQL store applies changes on an interval, so values may lag behind very recent edits
+Server.prototype.currentVoxelValues = function(changes, callback) {
+    var self = this;
+    var previous = {};
+    var chunkIds = Object.keys(changes);
+    var remaining = chunkIds.length;
+    if (remaining == 0) {
+        callback(previous);
+        return;
+    }
+    chunkIds.forEach(function(chunkId) {
+        self.chunkStore.get(chunkId, function(error, chunk) {
+            if (!error && chunk) {
+                var details = changes[chunkId];
+                var values = new Array(details.length);
+                for (var i = 0; i < details.length; i += 2) {
+                    values[i] = details[i];
+                    values[i + 1] = chunk.voxels[ details[i] ];
+                }
+                previous[chunkId] = values;
+            }
+            remaining--;
+            if (remaining == 0) {
+                callback(previous);
+            }
+        });
+    });
+};
+
+
+// Roll back the player's last batch of changes, or with redo=true, re-apply the last one they rolled back.
+// These go to everyone, including the player, as ordinary voxel changes
+Server.prototype.undo = function(client, redo) {
+    var self = this;
+    self.queueHistory(client, function(done) {
+        self.applyHistory(client, redo);
+        done();
+    });
+};
+
+
+// Does the undo or redo, once it's the client's turn in queueHistory
+Server.prototype.applyHistory = function(client, redo) {
+    var self = this;
+    var history = self.historyFor(client);
+    var entry = redo ? history.redo() : history.undo();
+    var changes = {};
+    var source;
+    var denied;
+    if (!entry) {
+        sendMessage(client.connection, 'error', {
+            type: 'history',
+            message: redo ? 'Nothing to redo' : 'Nothing to undo'
+        });
+        return;
+    }
+    source = redo ? entry.changes : entry.previous;
+    // Copy, since enforceClaims modifies what it's given
+    for (var chunkId in source) {
+        changes[chunkId] = source[chunkId].slice();
+    }
+
+    // Someone may have claimed the land since
+    denied = self.enforceClaims(client, changes);
+    if (Object.keys(denied).length > 0) {
+        sendMessage(client.connection, 'error', {
+            type: 'claim',
+            message: self.claimsError()
+        });
+    }
+    if (Object.keys(changes).length == 0) {
+        return;
+    }
+    self.commitChanges(client, changes, null);
+};
+
+
+/*
+Payload is either {username: '', password: ''} or {token: ''} from a previous login.
+If config.allowRegistration isn't false, logging in with an unknown username creates the account.
+*/
+Server.prototype.login = function(client, payload) {
+    var self = this;
+    var done = function(error, username) {
+        if (error || !username) {
+            stats.count('login.failed');
+            sendMessage(client.connection, 'error', {
+                type: 'login',
+                message: error || 'Wrong username or password'
+            });
+            return;
+        }
+        stats.count('login.succeeded');
+        client.username = username;
+        sendMessage(client.connection, 'login', {
+            username: username,
+            token: self.sessionToken.sign(username)
+        });
+        self.emitter.emit('client.login', client);
+    };
+
+    if (!payload || typeof payload !== 'object') {
+        done('Malformed login');
+        return;
+    }
+    if ('token' in payload) {
+        done(null, self.sessionToken.verify(payload.token));
+        return;
+    }
+    if (!self.accountStore) {
+        done('This server does not have accounts');
+        return;
+    }
+    self.accountStore.authenticate(payload.username, payload.password, function(error, account) {
+        if (error) {
+            done(error);
+            return;
+        }
+        if (account) {
+            done(null, account.username);
+            return;
+        }
+        if (self.config.allowRegistration === false) {
+            done('Wrong username or password');
+            return;
+        }
+        self.accountStore.create(payload.username, payload.password, function(error, account) {
+            if (error) {
+                done(error);
+                return;
+            }
+            console.log('Created account for ' + account.username);
+            done(null, account.username);
+        });
+    });
+};
+
+
+// When config.requireLogin is set, anonymous clients can look but not chat or build
+Server.prototype.canAct = function(client, type) {
+    if (client.username || !this.config.requireLogin) {
+        return true;
+    }
+    sendMessage(client.connection, 'error', {
+        type: type,
+        message: 'You need to log in first'
+    });
+    return false;
+};
+
+
+Server.prototype.displayName = function(client) {
+    return client.username || ('guest-' + client.id.substr(0, 6));
+};
+
+
+// Removes changes to voxels inside claims the client can't build in. Until the claims have loaded, that's all of them.
+// Returns the removed voxels as {chunkId: [index, ...]}
+Server.prototype.enforceClaims = function(client, changes) {
+    var self = this;
+    var chunkSize = self.config.chunkSize;
+    var denied = {};
+    var chunkId;
+    if (!self.claims) {
+        return denied;
+    }
+    if (!self.claims.loaded) {
+        for (chunkId in changes) {
+            denied[chunkId] = changes[chunkId].filter(function(value, i) {
+                return i % 2 == 0;
+            });
+            delete changes[chunkId];
+        }
+        return denied;
+    }
+    for (chunkId in changes) {
+        var position = chunkId.split('|').map(function(value) {
+            return Number(value);
+        });
+        var forbidden = self.claims.forbiddenInChunk(client.username, position, chunkSize);
+        if (forbidden.length == 0) {
+            continue;
+        }
+        var details = changes[chunkId];
+        var allowed = [];
+        for (var i = 0; i < details.length; i += 2) {
+            var index = details[i];
+            var x = position[0] + (index % chunkSize);
+            var y = position[1] + (Math.floor(index / chunkSize) % chunkSize);
+            var z = position[2] + Math.floor(index / (chunkSize * chunkSize));
+            var inside = false;
+            for (var j = 0; j < forbidden.length; j++) {
+                if (self.claims.contains(forbidden[j], x, y, z)) {
+                    inside = true;
+                    break;
+                }
+            }
+            if (inside) {
+                if (!(chunkId in denied)) {
+                    denied[chunkId] = [];
+                }
+                denied[chunkId].push(index);
+            } else {
+                allowed.push(index, details[i + 1]);
+            }
+        }
+        if (allowed.length > 0) {
+            changes[chunkId] = allowed;
+        } else {
+            delete changes[chunkId];
+        }
+    }
+    return denied;
+};
+
+
+// Why enforceClaims denied changes
+Server.prototype.claimsError = function() {
+    return this.claims.loaded ? 'You can\'t build in land claimed by someone else' : Claims.notLoaded;
+};
+
+
+// Send the stored values of voxels to a client. voxels is {chunkId: [index, ...]}
+Server.prototype.sendCurrentVoxels = function(client, voxels) {
+    var self = this;
+    Object.keys(voxels).forEach(function(chunkId) {
+        self.chunkStore.get(chunkId, function(error, chunk) {
+            var indexes = voxels[chunkId];
+            var chunkChanges = {};
+            var details = [];
+            if (error || !chunk) {
+                console.log('Failed to get current voxels for ' + chunkId, error);
+                return;
+            }
+            for (var i = 0; i < indexes.length; i++) {
+                details.push(indexes[i], chunk.voxels[ indexes[i] ]);
+            }
+            chunkChanges[chunkId] = details;
+            if (client.connected) {
+                sendMessage(client.connection, 'chunkVoxelIndexValue', chunkChanges);
+            }
+        });
+    });
+};
+
+
+/*
+Payload is one of:
+{action: 'create', low: [x, y, z], high: [x, y, z]}
+{action: 'remove', id: ''}
+{action: 'grant', id: '', username: ''}
+{action: 'revoke', id: '', username: ''}
+{action: 'list'}
+*/
+Server.prototype.claim = function(client, payload) {
+    var self = this;
+    var done = function(error) {
+        if (error) {
+            sendMessage(client.connection, 'error', {
+                type: 'claim',
+                message: error
+            });
+            return;
+        }
+        self.broadcast(null, 'claims', self.claims.list());
+    };
+    if (!self.claims) {
+        done('This server does not support land claims');
+        return;
+    }
+    if (!payload || typeof payload !== 'object') {
+        done('Malformed claim request');
+        return;
+    }
+    if (payload.action != 'list' && !client.username) {
+        done('You need to log in first');
+        return;
+    }
+    switch (payload.action) {
+        case 'create':
+            self.claims.create(client.username, payload.low, payload.high, done);
+            break;
+        case 'remove':
+            self.claims.remove(client.username, payload.id, done);
+            break;
+        case 'grant':
+            self.claims.setBuilder(client.username, payload.id, payload.username, true, done);
+            break;
+        case 'revoke':
+            self.claims.setBuilder(client.username, payload.id, payload.username, false, done);
+            break;
+        case 'list':
+            sendMessage(client.connection, 'claims', self.claims.list());
+            break;
+        default:
+            done('Unknown claim action');
+            break;
+    }
+};
+
+
+/*
+restore.js posts the chunks it rolled back here, so we can update our caches and players instead of it writing
+to the database behind our back. The body is JSON:
+
+{time: Date.now(), chunks: {chunkId: base64 of chunk-codec.js encoded voxels, ...}}
+
+signed with an HMAC-SHA256 of the body using config.restoreSecret, in the X-Voxeling-Signature header.
+That's a separate key from sessionSecret, so one that leaks can't be used for the other.
+*/
+Server.prototype.restoreRequest = function(request, response) {
+    var self = this;
+    var secret = self.config.restoreSecret;
+    var chunks = [];
+    var length = 0;
+    var tooBig = false;
+    var reply = function(status, body) {
+        response.writeHead(status, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(body));
+    };
+    request.on('data', function(data) {
+        length += data.length;
+        if (tooBig) {
+            return;
+        }
+        // Plenty for a batch of chunks, even uncompressible ones
+        if (length > 16 * 1024 * 1024) {
+            tooBig = true;
+            reply(413, {error: 'Too many chunks in one request'});
+            return;
+        }
+        chunks.push(data);
+    });
+    request.on('end', function() {
+        var body = Buffer.concat(chunks);
+        var actual = Buffer.from(String(request.headers['x-voxeling-signature'] || ''));
+        var expected;
+        var payload;
+        var restored = {};
+        if (tooBig) {
+            return;
+        }
+        if (!secret) {
+            reply(403, {error: 'Set restoreSecret in config to allow restores'});
+            return;
+        }
+        expected = Buffer.from(restoreSignature(secret, body));
+        if (expected.length != actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            reply(403, {error: 'Bad signature'});
+            return;
+        }
+        try {
+            payload = JSON.parse(body.toString());
+            // Without a time, a signed body could be replayed forever
+            if (typeof payload.time != 'number' || !(Math.abs(Date.now() - payload.time) <= 60000)) {
+                reply(403, {error: 'Request is too old'});
+                return;
+            }
+            for (var chunkId in payload.chunks) {
+                var error = self.changesValidator.validateChunkId(chunkId);
+                if (error) {
+                    reply(400, {error: error});
+                    return;
+                }
+                restored[chunkId] = codec.decode(
+                    Buffer.from(payload.chunks[chunkId], 'base64'),
+                    self.changesValidator.chunkArrayLength
+                );
+            }
+        } catch (e) {
+            reply(400, {error: e.message});
+            return;
+        }
+        self.replaceChunks(restored, function(changed) {
+            reply(200, {chunks: Object.keys(restored).length, voxels: changed});
+        });
+    });
+};
+
+
+// Overwrites whole chunks with new voxels. The differences go through the chunk store and out to players
+// as ordinary voxel changes, so unsaved edits and caches can't clobber them. restored is {chunkId: voxels}.
+// Calls back with the number of voxels that changed
+Server.prototype.replaceChunks = function(restored, callback) {
+    var self = this;
+    var chunkIds = Object.keys(restored);
+    var remaining = chunkIds.length;
+    var changed = 0;
+    if (remaining == 0) {
+        callback(0);
+        return;
+    }
+    chunkIds.forEach(function(chunkId) {
+        self.chunkStore.get(chunkId, function(error, chunk) {
+            var voxels = restored[chunkId];
+            var changes = {};
+            var details = [];
+            if (error || !chunk) {
+                console.log('Failed to get ' + chunkId + ' to restore it', error);
+            } else {
+                for (var i = 0; i < voxels.length; i++) {
+                    if (chunk.voxels[i] != voxels[i]) {
+                        details.push(i, voxels[i]);
+                    }
+                }
+            }
+            if (details.length > 0) {
+                changes[chunkId] = details;
+                changed += details.length / 2;
+                self.chunkStore.gotChunkChanges(changes);
+                self.encodedChunkCache.remove(chunkId);
+                self.relayChunkChanges(null, chunkId, changes);
+            }
+            remaining--;
+            if (remaining == 0) {
+                callback(changed);
+            }
+        });
     });
 };
 
@@ -229,6 +914,7 @@ Server.prototype.initialize = function() {
 // send message to all clients
 Server.prototype.broadcast = function(id, event, payload) {
     var self = this;
+    var cache = {};
     for (var clientId in self.clients) {
         var client;
         var connection;
@@ -244,44 +930,178 @@ Server.prototype.broadcast = function(id, event, payload) {
             console.log('sending to', clientId, payload);
         }
         // emit over connection
-        sendMessage(client.connection, event, payload);
+        sendMessage(client.connection, event, payload, cache);
     }
 };
 
 
-// broadcast position, rotation updates for each player
+// Send voxel changes for a single chunk to the clients that are subscribed to it,
+// or to one of the neighboring chunks the changes touch along a boundary
+Server.prototype.relayChunkChanges = function(fromId, chunkId, chunkChanges) {
+    var self = this;
+    var details = chunkChanges[chunkId];
+    var position = chunkId.split('|').map(function(value) {
+        return Number(value);
+    });
+    var touching = {};
+    var cache = {};
+    for (var i = 0; i < details.length; i += 2) {
+        self.coords.voxelIndexTouching(position, details[i], touching);
+    }
+
+    for (var clientId in self.clients) {
+        var client;
+        // Don't broadcast to the client that sent us the info
+        if (clientId === fromId) {
+            continue;
+        }
+        client = self.clients[clientId];
+        if (!client.connected) {
+            continue;
+        }
+        if (!self.clientWantsChunk(client, chunkId, touching)) {
+            self.relayCounts.suppressed++;
+            stats.count('chunkVoxelIndexValue.suppressed');
+            continue;
+        }
+        if (debug) {
+            console.log('sending to', clientId, chunkChanges);
+        }
+        self.relayCounts.relayed++;
+        stats.count('chunkVoxelIndexValue.relayed');
+        // emit over connection
+        sendMessage(client.connection, 'chunkVoxelIndexValue', chunkChanges, cache);
+    }
+};
+
+
+Server.prototype.clientWantsChunk = function(client, chunkId, touching) {
+    var subscribed = client.onlyTheseChunks;
+    // Client hasn't told us what it cares about yet
+    if (!subscribed) {
+        return true;
+    }
+    if (chunkId in subscribed) {
+        return true;
+    }
+    for (var neighborId in touching) {
+        if (neighborId in subscribed) {
+            return true;
+        }
+    }
+    return false;
+};
+
+
+/*
+Send position, rotation updates to each client, for the players it can see.
+Players within nearPlayerDistance chunks are sent more often than those farther away,
+and we skip players that haven't moved since we last told the client about them.
+Clients are told which players to stop drawing with a playersRemoved message.
+*/
 Server.prototype.sendPlayers = function() {
     var self = this;
+    var now = Date.now();
     var clientIds = Object.keys(self.clients);
+    var chunkSize = self.config.chunkSize;
     if (clientIds.length === 0) {
         return;
     }
-    //console.log('Sending updates for ' + clientIds.length + ' clients')
-    var players = {};
 
-    clientIds.map(function(id) {
-        var client = self.clients[id];
-        if (!client.position) {
-            return;
+    for (var i = 0; i < clientIds.length; i++) {
+        var client = self.clients[ clientIds[i] ];
+        if (now - client.lastSeen > self.staleClientMs) {
+            console.log('Disconnecting stale client ' + client.id);
+            client.connected = false;
+            client.connection.close();
+            delete self.clients[client.id];
+        }
+    }
+
+    for (var viewerId in self.clients) {
+        var viewer = self.clients[viewerId];
+        var players = {};
+        var removed = [];
+        var changed = false;
+        if (!viewer.connected || !viewer.position) {
+            continue;
         }
-        // TODO: Ignore client if they're really stale
-        players[id] = {
-            positions: [
+        var viewerChunk = self.coords.positionToChunk(viewer.position);
+
+        for (var id in self.clients) {
+            var client = self.clients[id];
+            var sent = viewer.sentPlayers[id];
+            if (id === viewerId || !client.position) {
+                continue;
+            }
+            var chunk = self.coords.positionToChunk(client.position);
+            var distance = Math.max(
+                Math.abs(chunk[0] - viewerChunk[0]),
+                Math.abs(chunk[1] - viewerChunk[1]),
+                Math.abs(chunk[2] - viewerChunk[2])
+            ) / chunkSize;
+            if (distance > viewer.drawDistance) {
+                if (sent) {
+                    removed.push(id);
+                    delete viewer.sentPlayers[id];
+                }
+                continue;
+            }
+            var interval = (distance <= self.nearPlayerDistance ? self.nearPlayerInterval : self.farPlayerInterval);
+            if (sent && now - sent.sentAt < interval) {
+                continue;
+            }
+            var positions = [
                 client.position[0],
                 client.position[1],
                 client.position[2],
                 client.pitch,
                 client.yaw,
                 0
-            ],
-            avatar: client.avatar
-        };
-    });
+            ];
+            if (sent && sent.avatar == client.avatar && samePositions(sent.positions, positions)) {
+                continue;
+            }
+            players[id] = {
+                positions: positions,
+                avatar: client.avatar
+            };
+            viewer.sentPlayers[id] = {
+                positions: positions,
+                avatar: client.avatar,
+                sentAt: now
+            };
+            changed = true;
+        }
+
+        // Players that disconnected
+        for (var id in viewer.sentPlayers) {
+            if (!(id in self.clients)) {
+                removed.push(id);
+                delete viewer.sentPlayers[id];
+            }
+        }
 
-    self.broadcast(null, 'players', players);
+        if (changed) {
+            sendMessage(viewer.connection, 'players', players);
+        }
+        if (removed.length > 0) {
+            sendMessage(viewer.connection, 'playersRemoved', removed);
+        }
+    }
 };
 
 
+function samePositions(a, b) {
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+
 Server.prototype.requestNearbyChunks = function(position) {
     var self = this;
     this.coords.nearbyChunkIDsEach(position, 2, function(chunkID) {
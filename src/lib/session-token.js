@@ -0,0 +1,51 @@
+var crypto = require('crypto');
+
+/*
+Session tokens look like: base64(username).expiresMs.signature
+
+The signature is an HMAC of the first two parts, so the server can verify a token
+without storing it. Clients hold on to the token and use it to log in again after
+reconnecting.
+*/
+var SessionToken = function(secret, lifetimeMs) {
+    if (!secret) {
+        throw new Error('SessionToken: secret is required');
+    }
+    this.secret = secret;
+    // Default to 30 days
+    this.lifetimeMs = lifetimeMs || 30 * 24 * 60 * 60 * 1000;
+};
+module.exports = SessionToken;
+
+
+SessionToken.prototype.sign = function(username) {
+    var payload = Buffer.from(username).toString('base64') + '.' + (Date.now() + this.lifetimeMs);
+    return payload + '.' + this.signature(payload);
+};
+
+
+// Returns the username the token was issued to, or null if it's invalid or expired
+SessionToken.prototype.verify = function(token) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+    var parts = token.split('.');
+    if (parts.length != 3) {
+        return null;
+    }
+    var payload = parts[0] + '.' + parts[1];
+    var expected = Buffer.from(this.signature(payload));
+    var actual = Buffer.from(parts[2]);
+    if (expected.length != actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    if (Number(parts[1]) < Date.now()) {
+        return null;
+    }
+    return Buffer.from(parts[0], 'base64').toString();
+};
+
+
+SessionToken.prototype.signature = function(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+};
@@ -0,0 +1,64 @@
+var codec = require('./chunk-codec');
+var zlib = require('zlib');
+
+/*
+Lets scripts like snapshot.js run the same SQL against whichever database config.chunkStore uses.
+
+query(sql, params, callback) calls back with (error, rows)
+end() closes the connection once queued queries finish
+
+Chunk and history rows hold voxels encoded with chunk-codec.js, or gzipped if they were saved before
+we had it. Use decodeVoxels to read either.
+*/
+module.exports = function(config) {
+    var db;
+    if (config.chunkStore == 'sqlite') {
+        var sqlite3 = require('sqlite3');
+        var schema = require('./chunk-stores/sqlite').schema;
+        db = new sqlite3.Database(config.sqlite.filename);
+        db.serialize();
+        // The server may not have created the tables yet
+        for (var i = 0; i < schema.length; i++) {
+            db.run(schema[i]);
+        }
+        return {
+            query: function(sql, params, callback) {
+                db.all(sql, params, callback);
+            },
+            end: function() {
+                db.close();
+            }
+        };
+    }
+    if (config.chunkStore == 'mysql') {
+        db = require('mysql').createPool(config.mysql);
+        return {
+            query: function(sql, params, callback) {
+                db.query(sql, params, callback);
+            },
+            end: function() {
+                db.end();
+            }
+        };
+    }
+    throw new Error('Set chunkStore to mysql or sqlite in config to use a database');
+};
+
+
+// Calls back with (error, voxels) where voxels is a Uint16Array of length voxels
+module.exports.decodeVoxels = function(data, length, callback) {
+    var voxels;
+    if (codec.gzipped(data)) {
+        zlib.gunzip(data, function(error, buffer) {
+            callback(error, buffer && codec.widen(buffer));
+        });
+        return;
+    }
+    try {
+        voxels = codec.decode(data, length);
+    } catch (e) {
+        callback(e.message);
+        return;
+    }
+    callback(null, voxels);
+};
@@ -0,0 +1,20 @@
+/*
+Lets generator settings in config name voxels ('sandstone') instead of hardcoding ids.
+Pass config.voxels. The returned function accepts a name or an id, and throws for names that aren't
+in config.voxels. what describes the setting, for the error message.
+*/
+module.exports = function(voxels) {
+    var ids = {};
+    for (var id in voxels) {
+        ids[ voxels[id].name ] = Number(id);
+    }
+    return function(value, what) {
+        if (typeof value == 'number') {
+            return value;
+        }
+        if (!(value in ids)) {
+            throw new Error((what ? what + ' uses' : 'Unknown') + ' voxel ' + value + ', which is not in config.voxels');
+        }
+        return ids[value];
+    };
+};
@@ -0,0 +1,61 @@
+/*
+Chunks hold voxels in a Uint16Array. Each value packs:
+
+    low 12 bits: block id, the keys of config.voxels. 0 is air
+    high 4 bits: block state, like which way the block faces. 0 is the default
+
+Anything that looks up textures, names or transparency should use id(value). Anything that copies voxels
+around (edits, the clipboard, chunk stores) should keep the whole value so the state comes along.
+
+States 1 to 4 say which way a block faces: 1 towards +z, then a quarter turn at a time, so 2 is -x, 3 is -z
+and 4 is +x. rotate and mirror turn those, and leave other states alone. That way blocks that don't face
+anywhere keep state 0.
+*/
+var idBits = 12;
+var idMask = (1 << idBits) - 1;
+var facings = 4;
+
+// Facing state turned by turns quarter turns. Other states are returned as they are
+var turn = function(state, turns) {
+    if (state < 1 || state > facings) {
+        return state;
+    }
+    return (state - 1 + turns + facings) % facings + 1;
+};
+
+module.exports = {
+    maxId: idMask,
+    maxState: (1 << (16 - idBits)) - 1,
+
+    id: function(value) {
+        return value & idMask;
+    },
+
+    state: function(value) {
+        return value >> idBits;
+    },
+
+    make: function(id, state) {
+        return ((state || 0) << idBits) | id;
+    },
+
+    // Turned a quarter turn around the Y axis, from +z towards -x
+    rotate: function(value) {
+        var state = value >> idBits;
+        return (turn(state, 1) << idBits) | (value & idMask);
+    },
+
+    // Flipped along the X axis, so facing -x becomes +x and the other way around
+    mirror: function(value) {
+        var state = value >> idBits;
+        if (state == 2 || state == 4) {
+            state = turn(state, 2);
+        }
+        return (state << idBits) | (value & idMask);
+    },
+
+    // A chunk's worth of voxels, all air
+    chunkArray: function(length) {
+        return new Uint16Array(length);
+    }
+};
@@ -1,73 +1,321 @@
-var mysql = require('mysql');
+/*
+Rolls chunks back to how they were at a point in time, using the snapshots snapshot.js saves.
+For each chunk changed since then, the latest snapshot at or before that time goes back into the world.
+Works with the file, sqlite and mysql chunk stores.
+
+    node src/restore.js 2018-03-31T05:00:00-0400
+    node src/restore.js 2018-03-31T05:00:00-0400 -64,0,-64 64,32,64
+    node src/restore.js 1522486800000 --dry-run
+
+The time is anything Date.parse understands, or milliseconds. The optional corners are voxel coordinates,
+and limit the restore to chunks touching that box. --dry-run lists what would change without changing it.
+
+If the server is running, the chunks are sent to it so it can update its caches and players. That needs
+restoreSecret set in config. Otherwise they're written straight to the database or chunkFolder.
+*/
 var config = require('../config');
-var dayjs = require('dayjs');
+var codec = require('./lib/chunk-codec');
+var crypto = require('crypto');
+var http = require('http');
+
+// Chunks to send to the server at a time
+var batchSize = 50;
+
+var usage = function() {
+    console.log('Usage: node src/restore.js time [x,y,z x,y,z] [--dry-run]');
+    process.exit(1);
+};
 
-var db = mysql.createPool(config.mysql);
+var args = process.argv.slice(2);
+var dryRun = args.indexOf('--dry-run') > -1;
+args = args.filter(function(arg) {
+    return arg != '--dry-run';
+});
+if (args.length != 1 && args.length != 3) {
+    usage();
+}
 
-var newTimestamp = Date.now();
-var earliest = dayjs('2016-02-28T10:21:57-0400');
-var ts;
+var ts = /^\d+$/.test(args[0]) ? Number(args[0]) : Date.parse(args[0]);
+if (isNaN(ts)) {
+    console.log('Not a time: ' + args[0]);
+    usage();
+}
 
-// Roll back to this time
-//$ts = strtotime('2017-01-12 20:53:03');
-//$ts = strtotime('2017-11-15 18:52:00'); // hedges along yellow brick road
-ts = dayjs('2017-11-27T21:34:00-0400'); // exposed spirals a few chunks away from origin, dug out lots of terraces
-ts = dayjs('2017-11-28T15:57:00-0400'); // lower more terraces, dirt near origin, repair gutted tree
-ts = dayjs('2017-11-28T19:50:00-0400'); // minor stuff
-ts = dayjs('2017-12-06T06:00:01-0400'); // snapshot time
-ts = dayjs('2017-12-19T21:10:00-0400'); // snapshot time
-ts = dayjs('2018-03-30T16:53:00-0400');
-ts = dayjs('2018-03-31T05:00:00-0400'); // rainbow tunnel!
+var chunkSize = config.chunkSize;
+var chunkArrayLength = chunkSize * chunkSize * chunkSize;
 
-ts = dayjs('2020-01-01T00:00:00Z');
+// Chunk IDs of the lowest and highest chunks to restore, if we were given corners
+var box = null;
+if (args.length == 3) {
+    var corners = [args[1], args[2]].map(function(corner) {
+        var position = corner.split(',').map(Number);
+        if (position.length != 3 || position.some(isNaN)) {
+            console.log('Not a coordinate: ' + corner);
+            usage();
+        }
+        // Lower corner of the chunk holding this voxel
+        return position.map(function(value) {
+            return Math.floor(value / chunkSize) * chunkSize;
+        });
+    });
+    box = {
+        low: [0, 1, 2].map(function(i) {
+            return Math.min(corners[0][i], corners[1][i]);
+        }),
+        high: [0, 1, 2].map(function(i) {
+            return Math.max(corners[0][i], corners[1][i]);
+        })
+    };
+}
 
 
-console.log('Cutoff: ' + ts.toISOString());
+/*
+Where the snapshots are. Each kind has:
 
-// Fetch chunk ids modified after date
-var sql = 'select distinct x,y,z from history where created_ms>?';
-db.query(sql, [ts], function(error, changes) {
-    if (error) {
-        callback('Error getting latest snapshot from MySQL: ' + error);
-        db.end();
-        return;
-    }
-    for (var i = 0; i < changes.length; i++) {
-        var chunk = changes[i];
-        var x = chunk.x;
-        var y = chunk.y;
-        var z = chunk.z;
+changes(ts, box, callback) calls back with (error, restores, missing). restores are {chunkID, time, voxels} for
+    chunks changed since ts that differ from their latest snapshot at or before it. missing lists changed
+    chunks with no snapshot that old
+write(restores, callback) puts them straight into the world, for when the server isn't running
+end() lets us exit
+*/
+var sqlHistory = function() {
+    var SqlDatabase = require('./lib/sql-database');
+    var db = SqlDatabase(config);
 
-        // TODO: think thorugh this logic when i've NOT had a beer
+    var decode = function(data, callback) {
+        SqlDatabase.decodeVoxels(data, chunkArrayLength, callback);
+    };
 
-        //$version = $db->fetchRow('select * from history where x=', $x, ' AND y=', $y, ' AND z=', $z, ' AND snapshot_datetime BETWEEN ', $earliest, ' AND ', $dt, ' ORDER BY snapshot_datetime DESC LIMIT 1');
-        var sql = 'select * from history where x=? and y=? and z=? AND created_ms<=? ORDER BY created_ms DESC LIMIT 1';
-        db.query(sql, [x,y,z,ts], function(error, results) {
+    var changes = function(ts, box, callback) {
+        var sql = 'select x,y,z,voxels from chunk where updated_ms > ?';
+        var params = [ts];
+        if (box) {
+            ['x', 'y', 'z'].forEach(function(axis, i) {
+                sql += ' and ' + axis + ' between ? and ?';
+                params.push(box.low[i], box.high[i]);
+            });
+        }
+        db.query(sql, params, function(error, chunks) {
+            var restores = [];
+            var missing = [];
+            var next;
             if (error) {
-                callback('Error getting latest snapshot from MySQL: ' + error);
-                db.end();
+                callback('Error getting changed chunks: ' + error);
                 return;
             }
+            // One chunk at a time
+            next = function(i) {
+                if (i == chunks.length) {
+                    callback(null, restores, missing);
+                    return;
+                }
+                var chunk = chunks[i];
+                var chunkID = chunk.x + '|' + chunk.y + '|' + chunk.z;
+                var sql = 'select voxels,created_ms from history where x=? and y=? and z=? and created_ms <= ? ' +
+                    'order by created_ms desc limit 1';
+                db.query(sql, [chunk.x, chunk.y, chunk.z, ts], function(error, results) {
+                    if (error) {
+                        callback('Error getting history for ' + chunkID + ': ' + error);
+                        return;
+                    }
+                    if (results.length == 0) {
+                        missing.push(chunkID);
+                        next(i + 1);
+                        return;
+                    }
+                    decode(chunk.voxels, function(error, current) {
+                        if (error) {
+                            callback('Failed to decode ' + chunkID + ': ' + error);
+                            return;
+                        }
+                        decode(results[0].voxels, function(error, voxels) {
+                            if (error) {
+                                callback('Failed to decode history for ' + chunkID + ': ' + error);
+                                return;
+                            }
+                            if (!sameVoxels(current, voxels)) {
+                                restores.push({
+                                    chunkID: chunkID,
+                                    time: results[0].created_ms,
+                                    voxels: voxels
+                                });
+                            }
+                            next(i + 1);
+                        });
+                    });
+                });
+            };
+            next(0);
+        });
+    };
 
-            var chunk = results[0];
-
-            var sql3 = 'UPDATE chunks SET voxels=?,updated_ms=? WHERE x=? AND y=? AND z=?';
-            var data = [
-                voxels,
-                newTimestamp,
-                x,
-                y,
-                z
-            ];
-            db.query(sql, data, function(error, results) {
+    var write = function(restores, callback) {
+        var next = function(i) {
+            if (i == restores.length) {
+                callback();
+                return;
+            }
+            var position = restores[i].chunkID.split('|').map(Number);
+            var sql = 'update chunk set voxels=?, updated_ms=? where x=? and y=? and z=?';
+            var data = [Buffer.from(codec.encode(restores[i].voxels)), Date.now()].concat(position);
+            db.query(sql, data, function(error) {
                 if (error) {
-                    callback('Failed to update ' + chunkID + ': ' + error);
-                    db.end();
+                    callback('Failed to update ' + restores[i].chunkID + ': ' + error);
                     return;
                 }
+                next(i + 1);
             });
+        };
+        next(0);
+    };
 
-        });
+    return {
+        changes: changes,
+        write: write,
+        end: function() {
+            db.end();
+        }
+    };
+};
+
+
+var fileHistory = function() {
+    var Generator = require('./lib/generator');
+    var FileChunkStore = require('./lib/chunk-stores/file');
+    var FileSnapshots = require('./lib/file-snapshots');
+    var store = new FileChunkStore(new Generator(chunkSize), config.chunkFolder);
+    var snapshots = new FileSnapshots(store, config.historyFolder);
+    return {
+        changes: function(ts, box, callback) {
+            snapshots.changes(ts, box, callback);
+        },
+        write: function(restores, callback) {
+            snapshots.write(restores, callback);
+        },
+        end: function() {
+            // The store saves on a timer, which would keep us running
+            process.exit();
+        }
+    };
+};
+
+
+var sameVoxels = function(a, b) {
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] != b[i]) {
+            return false;
+        }
+    }
+    return true;
+};
+
+
+// Sends batches of chunks to the running server. Falls back to writing them ourselves if it isn't running
+var sendToServer = function(restores, offset, callback) {
+    var batch = restores.slice(offset, offset + batchSize);
+    var chunks = {};
+    var body;
+    var request;
+    if (batch.length == 0) {
+        callback();
+        return;
     }
+    batch.forEach(function(restore) {
+        chunks[restore.chunkID] = Buffer.from(codec.encode(restore.voxels)).toString('base64');
+    });
+    body = JSON.stringify({
+        time: Date.now(),
+        chunks: chunks
+    });
+    request = http.request(
+        {
+            host: (!config.websocketBindAddress || config.websocketBindAddress == '0.0.0.0') ?
+                '127.0.0.1' : config.websocketBindAddress,
+            port: config.websocketBindPort,
+            path: '/restore',
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'X-Voxeling-Signature': crypto.createHmac('sha256', config.restoreSecret || '').update(body).digest('hex')
+            }
+        },
+        function(response) {
+            var data = '';
+            response.on('data', function(chunk) {
+                data += chunk;
+            });
+            response.on('end', function() {
+                if (response.statusCode != 200) {
+                    callback('Server refused restore: ' + data);
+                    return;
+                }
+                console.log('  Server updated ' + JSON.parse(data).voxels + ' voxels');
+                sendToServer(restores, offset + batchSize, callback);
+            });
+        }
+    );
+    request.on('error', function(error) {
+        // Only fall back before the server has seen any of it
+        if (offset == 0 && error.code == 'ECONNREFUSED') {
+            console.log('  Server is not running, writing the chunks ourselves');
+            history.write(restores, callback);
+            return;
+        }
+        callback('Failed to send chunks to the server: ' + error.message);
+    });
+    request.end(body);
+};
 
+
+var history;
+switch (config.chunkStore || 'file') {
+    case 'file':
+        history = fileHistory();
+        break;
+    case 'sqlite':
+    case 'mysql':
+        history = sqlHistory();
+        break;
+    default:
+        console.log('Restoring is not supported for chunkStore ' + config.chunkStore);
+        process.exit(1);
+}
+
+console.log('Restoring to ' + new Date(ts).toISOString() + (dryRun ? ' (dry run)' : ''));
+
+history.changes(ts, box, function(error, restores, missing) {
+    var done = function(error) {
+        if (error) {
+            console.log(error);
+            process.exitCode = 1;
+        }
+        history.end();
+    };
+    if (error) {
+        done(error);
+        return;
+    }
+    missing.forEach(function(chunkID) {
+        console.log('  ' + chunkID + ' has no snapshot from before then, leaving it alone');
+    });
+    restores.forEach(function(restore) {
+        console.log('  ' + restore.chunkID + ' back to ' + new Date(restore.time).toISOString());
+    });
+    if (restores.length == 0) {
+        console.log('Nothing to restore');
+        done();
+        return;
+    }
+    if (dryRun) {
+        console.log(restores.length + ' chunks would be restored');
+        done();
+        return;
+    }
+    sendToServer(restores, 0, function(error) {
+        if (!error) {
+            console.log('Restored ' + restores.length + ' chunks');
+        }
+        done(error);
+    });
 });
@@ -5,6 +5,8 @@ var Server = require('./lib/server');
 
 var chunkStore = require('./lib/chunk-stores/file');
 var chunkGenerator = require('./lib/generators/server-terraced');
+var FileAccountStore = require('./lib/account-stores/file');
+var FileClaimStore = require('./lib/claim-stores/file');
 var stats = require('./lib/voxel-stats');
 var config = require('../config');
 var debug = false;
@@ -18,10 +20,13 @@ var clientSettings = {
 
 
 var chunkStore = new chunkStore(
-    new chunkGenerator(config.chunkSize),
+    new chunkGenerator(config.chunkSize, config.seed),
     config.chunkFolder
 );
 
+var accountStore = new FileAccountStore(config.accountsFile || 'chunks/accounts.json');
+var claimStore = new FileClaimStore(config.chunkFolder);
+
 
 var serverSettings = {
     // test with memory chunk store for now
@@ -94,7 +99,7 @@ wsServer.on('connection', function(connection) {
 });
 
 
-var server = new Server(config, serverSettings, chunkStore, wsServer, httpServer);
+var server = new Server(config, serverSettings, chunkStore, wsServer, httpServer, accountStore, claimStore);
 
 server.on('chat', function(message) {
     stats.count('chat.messages.sent');
@@ -110,4 +115,41 @@ server.on('chat', function(message) {
 
 server.on('error', function(error) {
     console.log(error);
-});
\ No newline at end of file
+});
+
+
+// Save pending chunk changes, accounts and claims before exiting
+var shuttingDown = false;
+var shutdown = function(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log('Got ' + signal + ', saving before exiting');
+    // Don't hang forever if the disk is gone
+    setTimeout(function() {
+        console.log('Timed out saving');
+        process.exit(1);
+    }, 10000).unref();
+    var stores = [chunkStore, accountStore, claimStore];
+    var pending = stores.length;
+    var failed = false;
+    stores.forEach(function(store) {
+        store.flush(function(error) {
+            if (error) {
+                console.log(error);
+                failed = true;
+            }
+            pending--;
+            if (pending == 0) {
+                process.exit(failed ? 1 : 0);
+            }
+        });
+    });
+};
+process.on('SIGINT', function() {
+    shutdown('SIGINT');
+});
+process.on('SIGTERM', function() {
+    shutdown('SIGTERM');
+});
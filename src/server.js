@@ -3,46 +3,132 @@ var http = require('http');
 var WebSocket = require('ws');
 var Server = require('./lib/server');
 
-var chunkStore = require('./lib/chunk-stores/file');
-var chunkGenerator = require('./lib/generators/server-terraced');
+var FileChunkStore = require('./lib/chunk-stores/file');
+var FileAccountStore = require('./lib/account-stores/file');
+var FileClaimStore = require('./lib/claim-stores/file');
 var stats = require('./lib/voxel-stats');
 var config = require('../config');
 var debug = false;
 
-// This only gets filled by require if config.mysql isn't empty
+// This only gets filled when using mysql
 var mysqlPool;
 
 var clientSettings = {
     initialPosition: config.initialPosition
 };
 
-/*
-var chunkStore = new chunkStore(
-    new chunkGenerator(config.chunkSize),
-    config.chunkFolder
-);
-*/
+var generator;
+var chunkStore;
+var accountStore;
+var claimStore;
+
+// config.generator picks how new chunks are generated: terraced (the default), perlin, biomes, regions or pipeline
+switch (config.generator || 'terraced') {
+    case 'terraced':
+        var TerracedGenerator = require('./lib/generators/server-terraced');
+        generator = new TerracedGenerator(config.chunkSize, config.seed);
+        break;
+    case 'perlin':
+        var PerlinGenerator = require('./lib/generators/server-perlin');
+        generator = new PerlinGenerator(config.chunkSize, config.seed);
+        break;
+    case 'biomes':
+        var BiomesGenerator = require('./lib/generators/server-biomes');
+        generator = new BiomesGenerator(config.chunkSize, config.seed, {
+            voxels: config.voxels,
+            biomes: config.biomes
+        });
+        break;
+    case 'regions':
+        var RegionsGenerator = require('./lib/generators/server-regions');
+        generator = new RegionsGenerator(config.chunkSize, config.seed, config.regions);
+        break;
+    case 'pipeline':
+        var PipelineGenerator = require('./lib/generators/server-pipeline');
+        generator = new PipelineGenerator(config.chunkSize, config.seed, {
+            voxels: config.voxels,
+            stages: config.pipeline
+        });
+        break;
+    default:
+        throw new Error('Unknown generator in config: ' + config.generator);
+}
+// A pipeline lists its own stages
+if (config.caves && config.generator != 'pipeline') {
+    var Caves = require('./lib/generators/caves');
+    generator.addStage(new Caves(generator.seed, Object.assign({voxels: config.voxels}, config.caves)));
+}
+if (config.decorations && config.generator != 'pipeline') {
+    var Decorations = require('./lib/generators/decorations');
+    generator.addStage(new Decorations(generator, Object.assign({voxels: config.voxels}, config.decorations)));
+}
+
+// config.chunkStore picks where the world is saved: file (the default), region, sqlite or mysql
+switch (config.chunkStore || 'file') {
+    case 'mysql':
+        if (!('mysql' in config)) {
+            throw new Error('Attempted to use mysql for chunk storage, but no mysql params found in config');
+        }
+        var MysqlChunkStore = require('./lib/chunk-stores/mysql');
+        var MysqlAccountStore = require('./lib/account-stores/mysql');
+        var MysqlClaimStore = require('./lib/claim-stores/mysql');
+        mysqlPool = require('mysql').createPool(config.mysql);
+        chunkStore = new MysqlChunkStore(generator, config.mysql);
+        accountStore = new MysqlAccountStore(config.mysql);
+        claimStore = new MysqlClaimStore(config.mysql);
+        break;
+    case 'sqlite':
+        if (!config.sqlite || !config.sqlite.filename) {
+            throw new Error('Attempted to use sqlite for chunk storage, but no sqlite filename found in config');
+        }
+        var SqliteChunkStore = require('./lib/chunk-stores/sqlite');
+        chunkStore = new SqliteChunkStore(generator, config.sqlite);
+        accountStore = new FileAccountStore(config.accountsFile || 'chunks/accounts.json');
+        claimStore = new FileClaimStore(config.chunkFolder);
+        break;
+    case 'region':
+        var RegionChunkStore = require('./lib/chunk-stores/region');
+        chunkStore = new RegionChunkStore(generator, config.chunkFolder, config.regionSize);
+        accountStore = new FileAccountStore(config.accountsFile || 'chunks/accounts.json');
+        claimStore = new FileClaimStore(config.chunkFolder);
+        break;
+    case 'file':
+        chunkStore = new FileChunkStore(generator, config.chunkFolder);
+        accountStore = new FileAccountStore(config.accountsFile || 'chunks/accounts.json');
+        claimStore = new FileClaimStore(config.chunkFolder);
+        break;
+    default:
+        throw new Error('Unknown chunkStore in config: ' + config.chunkStore);
+}
 
-// Use mysql chunk storage if the mysql module is installed
-var useMysql = false;
-try {
-    require.resolve('mysql');
-    useMysql = true;
-} catch(e){}
-if (useMysql) {
-    if (!('mysql' in config)) {
-        throw new Error('Attempted to use mysql for chunk storage, but no mysql params found in config');
+// Snapshot the file store every snapshotMinutes, instead of running snapshot.js from cron
+if (config.snapshotMinutes) {
+    if (chunkStore instanceof FileChunkStore) {
+        var FileSnapshots = require('./lib/file-snapshots');
+        var snapshots = new FileSnapshots(chunkStore, config.historyFolder);
+        var snapshotting = false;
+        setInterval(function() {
+            if (snapshotting) {
+                return;
+            }
+            snapshotting = true;
+            // Write out recent changes first so they make it in
+            chunkStore.save(function() {
+                snapshots.snapshot(function(error, time, count) {
+                    snapshotting = false;
+                    if (error) {
+                        console.log('Failed to snapshot chunks', error);
+                        return;
+                    }
+                    if (count > 0) {
+                        console.log('Snapshotted ' + count + ' chunks to ' + snapshots.historyFolder + time);
+                    }
+                });
+            });
+        }, config.snapshotMinutes * 60 * 1000);
+    } else {
+        console.log('snapshotMinutes only works with the file chunk store. Run src/snapshot.js from cron instead');
     }
-    mysqlPool = require('mysql').createPool(config.mysql);
-    var chunkStore = new chunkStore(
-        new chunkGenerator(config.chunkSize),
-        config.mysql
-    );
-} else {
-    var chunkStore = new chunkStore(
-        new chunkGenerator(config.chunkSize),
-        config.chunkFolder
-    );
 }
 
 var serverSettings = {
@@ -102,7 +188,7 @@ wsServer.on('connection', function(connection) {
 });
 
 
-var server = new Server(config, clientSettings, chunkStore, wsServer, httpServer);
+var server = new Server(config, clientSettings, chunkStore, wsServer, httpServer, accountStore, claimStore);
 
 /*
 server.on('client.join', function(client) {
@@ -130,3 +216,40 @@ server.on('chat', function(message) {
 server.on('error', function(error) {
     console.log(error);
 });
+
+
+// Save pending chunk changes, accounts and claims before exiting
+var shuttingDown = false;
+var shutdown = function(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log('Got ' + signal + ', saving before exiting');
+    // Don't hang forever if the disk is gone
+    setTimeout(function() {
+        console.log('Timed out saving');
+        process.exit(1);
+    }, 10000).unref();
+    var stores = [chunkStore, accountStore, claimStore];
+    var pending = stores.length;
+    var failed = false;
+    stores.forEach(function(store) {
+        store.flush(function(error) {
+            if (error) {
+                console.log(error);
+                failed = true;
+            }
+            pending--;
+            if (pending == 0) {
+                process.exit(failed ? 1 : 0);
+            }
+        });
+    });
+};
+process.on('SIGINT', function() {
+    shutdown('SIGINT');
+});
+process.on('SIGTERM', function() {
+    shutdown('SIGTERM');
+});
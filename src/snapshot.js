@@ -1,14 +1,41 @@
-var mysql = require('mysql');
+/*
+Saves a snapshot of the chunks changed since the last one, for src/restore.js.
+With the sqlite and mysql chunk stores they go in the history table, with the file store in historyFolder.
+Run it from cron, or set snapshotMinutes in config to have the server do it (file store only).
+*/
 var config = require('../config');
 
-var db = mysql.createPool(config.mysql);
+// Chunks this many at a time, to stay under SQLite's limit on query parameters
+var batchSize = 100;
 
-var sql = 'select created_ms from history order by updated_ms DESC limit 1';
-db.query(sql, function(error, results) {
+if ((config.chunkStore || 'file') == 'file') {
+    var Generator = require('./lib/generator');
+    var FileChunkStore = require('./lib/chunk-stores/file');
+    var FileSnapshots = require('./lib/file-snapshots');
+    var store = new FileChunkStore(new Generator(config.chunkSize), config.chunkFolder);
+    new FileSnapshots(store, config.historyFolder).snapshot(function(error, time, count) {
+        if (error) {
+            console.log('Error saving snapshot', error);
+            process.exit(1);
+        }
+        if (count == 0) {
+            console.log(Date.now() + ': No chunk changes to snapshot');
+        } else {
+            console.log(time + ': Snapshotted ' + count + ' chunks');
+        }
+        // The store saves on a timer, which would keep us running
+        process.exit(0);
+    });
+    return;
+}
+
+var db = require('./lib/sql-database')(config);
+var sql = 'select created_ms from history order by created_ms DESC limit 1';
+db.query(sql, [], function(error, results) {
     var lastBackup;
     var newTimestamp = Date.now();
     if (error) {
-        callback('Error getting latest snapshot from MySQL: ' + error);
+        console.log('Error getting latest snapshot: ' + error);
         db.end();
         return;
     }
@@ -22,7 +49,8 @@ db.query(sql, function(error, results) {
     var sql = 'select x,y,z,voxels from chunk where updated_ms > ?';
     db.query(sql, [lastBackup], function(error, chunks) {
         if (error) {
-            callback('Error getting chunks from MySQL: ' + error);
+            console.log('Error getting chunks: ' + error);
+            db.end();
             return;
         }
         if (chunks.length == 0) {
@@ -33,40 +61,48 @@ db.query(sql, function(error, results) {
             console.log(newTimestamp + ': Snapshotting');
         }
 
-        var placeholder = '(?,?,?,?,?),';
-        var sql = 'INSERT INTO `history` (`x`, `y`, `z`, `voxels`, `created_ms`) VALUES';
-        sql += placeholder.repeat(chunks.length);
-        sql = sql.substring(0, sql.length - 1);
-        var data = [];
-        for (var i = 0; i < chunks.length; i++) {
-            var chunk = chunks[i];
-            var x = chunk.x;
-            var y = chunk.y;
-            var z = chunk.z;
+        var insertBatch = function(offset) {
+            var batch = chunks.slice(offset, offset + batchSize);
+            if (batch.length == 0) {
+                console.log('Snapshotted.');
+                db.end();
+                return;
+            }
+            var placeholder = '(?,?,?,?,?),';
+            var sql = 'INSERT INTO history (x, y, z, voxels, created_ms) VALUES';
+            sql += placeholder.repeat(batch.length);
+            sql = sql.substring(0, sql.length - 1);
+            var data = [];
+            for (var i = 0; i < batch.length; i++) {
+                var chunk = batch[i];
+                var x = chunk.x;
+                var y = chunk.y;
+                var z = chunk.z;
 
-            console.log('  x ' + x + ' y ' + y + ' z ' + z);
+                console.log('  x ' + x + ' y ' + y + ' z ' + z);
 
-            data.push(
-                x,
-                y,
-                z,
-                chunk.voxels,
-                newTimestamp
-            );
-        }
+                data.push(
+                    x,
+                    y,
+                    z,
+                    chunk.voxels,
+                    newTimestamp
+                );
+            }
 
-        db.query(
-            sql,
-            data,
-            function(error) {
-                if (error) {
-                    console.log('Error saving chunks for snapshot', error);
-                    db.end();
-                    return;
+            db.query(
+                sql,
+                data,
+                function(error) {
+                    if (error) {
+                        console.log('Error saving chunks for snapshot', error);
+                        db.end();
+                        return;
+                    }
+                    insertBatch(offset + batchSize);
                 }
-                console.log('Snapshotted.');
-                db.end();
-            }
-        );
+            );
+        };
+        insertBatch(0);
     });
 });
@@ -0,0 +1,54 @@
+/*
+An undo sent right after an edit must undo that edit. Recording the edit waits on the chunk store, so the
+undo has to wait its turn in the client's history queue, see queueHistory in server.js
+*/
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var WebSocket = require('ws');
+var Generator = require('../src/lib/generator');
+var FileChunkStore = require('../src/lib/chunk-stores/file');
+var Server = require('../src/lib/server');
+var config = Object.assign({}, require('../config-example'), {
+    sessionSecret: 'test secret',
+    requireLogin: false
+});
+
+var folder = fs.mkdtempSync(path.join(os.tmpdir(), 'voxeling-test-')) + '/';
+var store = new FileChunkStore(new Generator(config.chunkSize), folder);
+var httpServer = new http.Server();
+var wsServer = new WebSocket.Server({server: httpServer});
+new Server(config, {}, store, wsServer, httpServer);
+
+var done = function() {
+    fs.rmSync(folder, {recursive: true, force: true});
+    console.log('edit-history: ok');
+    // The server and store run intervals, which would keep us running
+    process.exit(0);
+};
+
+httpServer.listen(0, '127.0.0.1', function() {
+    var connection = new WebSocket('ws://127.0.0.1:' + httpServer.address().port);
+    var errors = [];
+    connection.on('message', function(message) {
+        var decoded = JSON.parse(message);
+        if (decoded[0] == 'error') {
+            errors.push(decoded[1].message);
+        }
+    });
+    connection.on('open', function() {
+        connection.send(JSON.stringify(['chunkVoxelIndexValue', {'0|0|0': [0, 2]}]));
+        connection.send(JSON.stringify(['undo']));
+        // Give the server time to handle both
+        setTimeout(function() {
+            store.get('0|0|0', function(error, chunk) {
+                assert.ifError(error);
+                assert.deepStrictEqual(errors, []);
+                assert.strictEqual(chunk.voxels[0], 1, 'undo should have restored the voxel');
+                done();
+            });
+        }, 500);
+    });
+});
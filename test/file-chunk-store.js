@@ -0,0 +1,90 @@
+/*
+Edits to a chunk that's evicted from the cache before it's saved must survive. Otherwise the next get()
+regenerates the chunk and the save writes that over the edits. See the comment at the top of file.js
+
+Also, flush has to give up on writes that keep failing, so shutdown can report them
+*/
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Generator = require('../src/lib/generator');
+var FileChunkStore = require('../src/lib/chunk-stores/file');
+
+var chunkSize = 32;
+// More than the store's cache holds, so chunkID gets evicted
+var others = 450;
+
+var folder = fs.mkdtempSync(path.join(os.tmpdir(), 'voxeling-test-')) + '/';
+var generator = new Generator(chunkSize);
+var store = new FileChunkStore(generator, folder);
+
+var get = function(store, chunkID, callback) {
+    store.get(chunkID, function(error, chunk) {
+        assert.ifError(error);
+        callback(chunk);
+    });
+};
+
+// Requests lots of other chunks, one after another, to push chunkID out of the cache
+var evict = function(offset, callback) {
+    var i = 0;
+    var next = function() {
+        if (i == others) {
+            callback();
+            return;
+        }
+        i++;
+        get(store, (offset + i * chunkSize) + '|0|0', next);
+    };
+    next();
+};
+
+var done = function() {
+    fs.rmSync(folder, {recursive: true, force: true});
+    console.log('file-chunk-store: ok');
+    // The store saves on an interval, which would keep us running
+    process.exit(0);
+};
+
+// Flushing to a folder that can't be written gives up with an error, instead of retrying forever
+var failingFlush = function(callback) {
+    var failing = new FileChunkStore(generator, folder + 'missing/');
+    failing.put(generator.get('0|0|0'));
+    failing.flush(function(error) {
+        assert.ok(error, 'flush should fail');
+        callback();
+    });
+};
+
+// Edit a freshly generated chunk, evict it, get it again and check the edit is there
+get(store, '0|0|0', function(chunk) {
+    assert.strictEqual(chunk.voxels[0], 1);
+    store.gotChunkChanges({'0|0|0': [0, 5, 100, 7]});
+    evict(chunkSize, function() {
+        assert.strictEqual(store.cache.get('0|0|0'), undefined, 'chunk should have been evicted');
+        get(store, '0|0|0', function(chunk) {
+            assert.strictEqual(chunk.voxels[0], 5);
+            assert.strictEqual(chunk.voxels[100], 7);
+
+            // Again with the chunk's write in progress while it's evicted and requested
+            store.gotChunkChanges({'0|0|0': [200, 9]});
+            store.save();
+            assert.ok('0|0|0' in store.writing, 'save should be in progress');
+            evict(chunkSize * (others + 1), function() {
+                get(store, '0|0|0', function(chunk) {
+                    assert.strictEqual(chunk.voxels[200], 9);
+                    store.flush(function() {
+                        // A new store has nothing in memory, so this reads what was written
+                        get(new FileChunkStore(generator, folder), '0|0|0', function(chunk) {
+                            assert.strictEqual(chunk.voxels[0], 5);
+                            assert.strictEqual(chunk.voxels[100], 7);
+                            assert.strictEqual(chunk.voxels[200], 9);
+                            failingFlush(done);
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/*
+Generating a chunk depends only on the seed and the chunk ID: two generators with the same seed give the
+same bytes, whatever else has been generated in the process in between
+*/
+var assert = require('assert');
+var config = require('../config-example');
+var Caves = require('../src/lib/generators/caves');
+var Decorations = require('../src/lib/generators/decorations');
+
+var chunkSize = 32;
+var seed = 'test seed';
+// On the surface, underground, and far out, for each generator
+var chunkIDs = ['0|0|0', '-32|-32|64', '-64|0|-32', '3200|-64|-1600'];
+
+var generators = {
+    terraced: function(seed) {
+        var Generator = require('../src/lib/generators/server-terraced');
+        return new Generator(chunkSize, seed);
+    },
+    perlin: function(seed) {
+        var Generator = require('../src/lib/generators/server-perlin');
+        return new Generator(chunkSize, seed);
+    },
+    biomes: function(seed) {
+        var Generator = require('../src/lib/generators/server-biomes');
+        return new Generator(chunkSize, seed, {voxels: config.voxels});
+    },
+    regions: function(seed) {
+        var Generator = require('../src/lib/generators/server-regions');
+        return new Generator(chunkSize, seed);
+    },
+    // With the caves and decorations stages
+    'biomes with stages': function(seed) {
+        var generator = generators.biomes(seed);
+        generator.addStage(new Caves(generator.seed, {voxels: config.voxels}));
+        generator.addStage(new Decorations(generator, {voxels: config.voxels}));
+        return generator;
+    },
+    // Every pipeline stage
+    pipeline: function(seed) {
+        var Generator = require('../src/lib/generators/server-pipeline');
+        return new Generator(chunkSize, seed, {voxels: config.voxels, stages: config.pipeline});
+    }
+};
+
+var chunks = function(generator) {
+    return chunkIDs.map(function(chunkID) {
+        return Buffer.from(generator.get(chunkID).voxels.buffer);
+    });
+};
+
+for (var name in generators) {
+    var generator = generators[name](seed);
+    var first = chunks(generator);
+    // Another seed in between, in case it disturbs anything shared
+    var other = chunks(generators[name]('another seed'));
+    var again = chunks(generator);
+    var second = chunks(generators[name](seed));
+    for (var i = 0; i < chunkIDs.length; i++) {
+        assert.ok(first[i].equals(second[i]), name + ' generated ' + chunkIDs[i] + ' differently the second time');
+        assert.ok(first[i].equals(again[i]), name + ' generated ' + chunkIDs[i] + ' differently after another seed');
+    }
+    assert.ok(
+        first.some(function(chunk, i) {
+            return !chunk.equals(other[i]);
+        }),
+        name + ' generated the same chunks for a different seed'
+    );
+}
+console.log('generators: ok');